@@ -1,144 +1,522 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo, useRef } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import AudioPlayer from './components/AudioPlayer'
 import TrackList from './components/TrackList'
-import  storageService  from './services/storageService'
+import ImportDialog from './components/ImportDialog'
+import DuplicateDialog from './components/DuplicateDialog'
+import TrashDialog from './components/TrashDialog'
+import StorageDialog from './components/StorageDialog'
+import MissingFilesDialog from './components/MissingFilesDialog'
+import HealthDialog from './components/HealthDialog'
+import EncryptionDialog from './components/EncryptionDialog'
+import ProfilesDialog from './components/ProfilesDialog'
+import FilenamePatternsDialog from './components/FilenamePatternsDialog'
+import TagEditorDialog from './components/TagEditorDialog'
+import { Toaster } from './components/ui/sonner'
+import { toast } from 'sonner'
+import { UserRound } from 'lucide-react'
+import  storageService, { DEFAULT_PROFILE_ID, STORAGE_KEYS }  from './services/storageService'
+import { debounce, downloadBlob, formatFileSize, isCueFile, isLyricsFile, isValidAudioFile } from './utils/helpers'
+import { findSidecarFile, toUploadEntry } from './utils/fileSystem'
+import { expandCueTracks, getSourceId, matchCueSheet } from './utils/cueSheet'
+
+// Seconds a stored duration may differ from the measured one before it's replaced
+const DURATION_TOLERANCE = 0.5
+
+// Playback order: saved queue first, then tracks added since it was saved
+const orderByQueue = (tracks, queue) => {
+  const byId = new Map(tracks.map(track => [track.id, track]))
+  const queued = queue.map(id => byId.get(id)).filter(Boolean)
+  const queuedIds = new Set(queued.map(track => track.id))
+  return [...queued, ...tracks.filter(track => !queuedIds.has(track.id))]
+}
 
 function App() {
   const [tracks, setTracks] = useState([])
   const [currentTrack, setCurrentTrack] = useState(null)
   const [isPlaying, setIsPlaying] = useState(false)
-  const [currentTime, setCurrentTime] = useState(0)
-  const [duration, setDuration] = useState(0)
   const [volume, setVolume] = useState(1)
-  const [isDragging, setIsDragging] = useState(false)
   const [showUpload, setShowUpload] = useState(false)
+  const [pendingImport, setPendingImport] = useState(null)
+  const [isImporting, setIsImporting] = useState(false)
+  const [pendingUploads, setPendingUploads] = useState(null)
+  const [trash, setTrash] = useState([])
+  const [showTrash, setShowTrash] = useState(false)
+  const [trashRetentionDays, setTrashRetentionDays] = useState(storageService.getTrashRetentionDays())
+  const [queueOrder, setQueueOrder] = useState([])
+  const [isSessionRestored, setIsSessionRestored] = useState(false)
+  const [showStorage, setShowStorage] = useState(false)
+  const [missingTracks, setMissingTracks] = useState([])
+  const [showMissing, setShowMissing] = useState(false)
+  const [showHealth, setShowHealth] = useState(false)
+  const [isEncrypted, setIsEncrypted] = useState(storageService.isEncrypted())
+  const [showEncryption, setShowEncryption] = useState(false)
+  const [profiles, setProfiles] = useState(storageService.getProfiles())
+  const [showProfiles, setShowProfiles] = useState(false)
+  const [showPatterns, setShowPatterns] = useState(false)
+  const [editingTrackIds, setEditingTrackIds] = useState([])
+  const activeProfileId = storageService.getActiveProfileId()
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId)
+
+  const playbackTimeRef = useRef(0)
+  const countedPlayRef = useRef(null)
+  const sessionRef = useRef({})
+  // Files split by a cue sheet are listed and queued as one track per cue point
+  const playableTracks = useMemo(() => expandCueTracks(tracks), [tracks])
+  const queue = useMemo(() => orderByQueue(playableTracks, queueOrder), [playableTracks, queueOrder])
+  const editingTracks = useMemo(() => (
+    tracks.filter(track => editingTrackIds.includes(track.id))
+  ), [tracks, editingTrackIds])
+  // Untitled tracks first: those are the ones the patterns are for
+  const patternSamples = useMemo(() => (
+    [...tracks]
+      .sort((a, b) => Number(Boolean(a.title)) - Number(Boolean(b.title)))
+      .map(track => track.relativePath || track.fileName)
+      .filter(Boolean)
+  ), [tracks])
+
+  sessionRef.current = {
+    trackId: currentTrack?.id ?? null,
+    queue: queue.map(track => track.id),
+    isPlaying
+  }
+
+  const persistSession = useMemo(() => {
+    const save = () => storageService.saveSession({
+      ...sessionRef.current,
+      currentTime: playbackTimeRef.current
+    })
+    return { now: save, later: debounce(save, 2000) }
+  }, [])
 
   useEffect(() => {
     const savedTracks = storageService.getTracks()
     setTracks(savedTracks)
+    storageService.purgeTrash()
+    setTrash(storageService.getTrash())
     
     const savedSettings = storageService.getSettings()
     if (savedSettings.volume !== undefined) {
       setVolume(savedSettings.volume)
     }
+
+    // Restore the last session paused; autoplay policies would block resuming anyway
+    const restoreSession = async () => {
+      const session = storageService.getSession()
+      setQueueOrder(session.queue)
+
+      const sessionTrack = expandCueTracks(savedTracks).find(track => track.id === session.trackId)
+      if (sessionTrack) {
+        const url = await storageService.getTrackURL(sessionTrack)
+        playbackTimeRef.current = session.currentTime
+        setCurrentTrack({ ...sessionTrack, url, startTime: session.currentTime })
+      }
+      setIsSessionRestored(true)
+    }
+    restoreSession()
   }, [])
 
+  // Save the session whenever what's playing changes, and before the page goes away
+  useEffect(() => {
+    if (isSessionRestored) {
+      persistSession.now()
+    }
+  }, [isSessionRestored, currentTrack?.id, isPlaying, queue, persistSession])
+
+  useEffect(() => {
+    window.addEventListener('pagehide', persistSession.now)
+    return () => window.removeEventListener('pagehide', persistSession.now)
+  }, [persistSession])
+
   useEffect(() => {
     storageService.saveSettings({ volume })
   }, [volume])
 
-  const handleFileUpload = async (files) => {
+  useEffect(() => {
+    let cancelled = false
+    storageService.findMissingTracks(tracks).then(missing => {
+      if (!cancelled) setMissingTracks(missing)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [tracks])
+
+  // Pick up library and settings edits made in other tabs
+  useEffect(() => {
+    return storageService.subscribe(({ key, origin }) => {
+      if (origin !== 'remote') return
+
+      if (key === STORAGE_KEYS.TRACKS) {
+        const syncedTracks = storageService.getTracks()
+        setTracks(syncedTracks)
+        setCurrentTrack(current => (
+          current && syncedTracks.some(track => track.id === getSourceId(current)) ? current : null
+        ))
+      } else if (key === STORAGE_KEYS.TRASH) {
+        setTrash(storageService.getTrash())
+      } else if (key === STORAGE_KEYS.ENCRYPTION) {
+        // Another tab encrypted or decrypted the library; start over from the lock screen
+        window.location.reload()
+      } else if (key === STORAGE_KEYS.SETTINGS) {
+        const syncedSettings = storageService.getSettings()
+        if (syncedSettings.volume !== undefined) {
+          setVolume(syncedSettings.volume)
+        }
+        setTrashRetentionDays(storageService.getTrashRetentionDays())
+      }
+    })
+  }, [])
+
+  // Takes Files or { file, path } entries from a folder import. .lrc and .cue files
+  // go with the audio file they name, or with a library track when uploaded alone
+  const handleFileUpload = async (items) => {
+    const entries = Array.from(items).map(toUploadEntry)
+    const lyricsEntries = entries.filter(entry => isLyricsFile(entry.file))
+    const cueSheets = await storageService.readCueSheets(entries.filter(entry => isCueFile(entry.file)))
+    const audioEntries = entries
+      .filter(entry => isValidAudioFile(entry.file))
+      .map(entry => ({
+        ...entry,
+        lyricsFile: findSidecarFile(entry, lyricsEntries)?.file,
+        cueSheet: matchCueSheet(entry.path || entry.file.name, cueSheets) || undefined
+      }))
+
+    const looseLyrics = lyricsEntries.filter(entry => !findSidecarFile(entry, audioEntries))
+    if (looseLyrics.length > 0) {
+      await handleLyricsImport(looseLyrics)
+    }
+    const looseCueSheets = cueSheets.filter(sheet => (
+      !audioEntries.some(entry => matchCueSheet(entry.path || entry.file.name, [sheet]))
+    ))
+    if (looseCueSheets.length > 0) {
+      handleCueSheetImport(looseCueSheets)
+    }
+    if (audioEntries.length === 0) return
+
+    const totalBytes = audioEntries.reduce((total, entry) => total + entry.file.size, 0)
+    const { fits, available } = await storageService.checkQuota(totalBytes)
+    if (!fits) {
+      toast.error('Not enough storage space', {
+        description: `These files need ${formatFileSize(totalBytes)} but only ${formatFileSize(available)} is free.`,
+        action: { label: 'Manage storage', onClick: () => setShowStorage(true) }
+      })
+      return
+    }
+
+    const uploads = await storageService.findDuplicateUploads(audioEntries, tracks)
+    if (uploads.some(upload => upload.duplicateOf || upload.duplicateInBatch)) {
+      setPendingUploads(uploads)
+      return
+    }
+
+    await addUploads(uploads, 'keep-both')
+  }
+
+  // strategy: 'skip' | 'replace' | 'keep-both' for files whose bytes already exist
+  const addUploads = async (uploads, strategy) => {
     const newTracks = []
+    const failedFiles = []
+    let updatedTracks = [...tracks]
     
-    for (const file of files) {
-      if (file.type.startsWith('audio/')) {
-        try {
-          const trackData = await new Promise((resolve) => {
-            const reader = new FileReader()
-            reader.onload = (e) => {
-              const track = {
-                id: Date.now() + Math.random(),
-                name: file.name.replace(/\.[^/.]+$/, ''),
-                file: file.name,
-                duration: 0,
-                size: file.size,
-                type: file.type,
-                data: e.target.result,
-                uploadedAt: new Date().toISOString()
-              }
-              resolve(track)
-            }
-            reader.readAsDataURL(file)
-          })
-          
-          newTracks.push(trackData)
-        } catch (error) {
-          console.error('Error processing file:', file.name, error)
+    for (const upload of uploads) {
+      const isDuplicate = upload.duplicateOf || upload.duplicateInBatch
+      if (isDuplicate && strategy !== 'keep-both') {
+        if (strategy === 'replace' && upload.duplicateOf) {
+          try {
+            const replaced = await storageService.replaceTrackAudio(upload.duplicateOf, upload.file, {
+              hash: upload.hash,
+              path: upload.path,
+              handle: upload.handle,
+              lyricsFile: upload.lyricsFile,
+              cueSheet: upload.cueSheet
+            })
+            updatedTracks = updatedTracks.map(track => track.id === replaced.id ? replaced : track)
+          } catch (error) {
+            console.error('Error replacing track:', upload.file.name, error)
+            failedFiles.push(upload.file.name)
+          }
         }
+        continue
+      }
+
+      try {
+        const track = await storageService.createTrackFromFile(upload.file, {
+          hash: upload.hash,
+          path: upload.path,
+          handle: upload.handle,
+          lyricsFile: upload.lyricsFile,
+          cueSheet: upload.cueSheet
+        })
+        newTracks.push(track)
+      } catch (error) {
+        console.error('Error processing file:', upload.file.name, error)
+        failedFiles.push(upload.file.name)
       }
     }
 
-    if (newTracks.length > 0) {
-      const updatedTracks = [...tracks, ...newTracks]
-      setTracks(updatedTracks)
-      storageService.saveTracks(updatedTracks)
-      setShowUpload(false)
+    updatedTracks = [...updatedTracks, ...newTracks]
+    setTracks(updatedTracks)
+    setShowUpload(false)
+
+    if (!storageService.saveTracks(updatedTracks)) {
+      toast.error('Could not save your library', {
+        description: 'Storage may be full.',
+        action: { label: 'Manage storage', onClick: () => setShowStorage(true) }
+      })
+    } else if (failedFiles.length > 0) {
+      toast.error(`Could not store ${failedFiles.length} file${failedFiles.length !== 1 ? 's' : ''}`, {
+        description: failedFiles.join(', ')
+      })
+    }
+
+    if (!currentTrack && newTracks.length > 0) {
+      handleTrackSelect(expandCueTracks(newTracks)[0])
+    }
+  }
+
+  const handleLyricsImport = async (lyricsEntries) => {
+    const { matched, unmatched } = await storageService.importLyricsFiles(lyricsEntries)
+    if (matched.length > 0) {
+      toast.success(`Added lyrics to ${matched.length} track${matched.length !== 1 ? 's' : ''}`)
+    }
+    if (unmatched.length > 0) {
+      toast.error(`No track found for ${unmatched.length} lyrics file${unmatched.length !== 1 ? 's' : ''}`, {
+        description: unmatched.join(', ')
+      })
+    }
+  }
+
+  const handleCueSheetImport = (cueSheets) => {
+    const { matched, unmatched } = storageService.applyCueSheets(cueSheets)
+    if (matched.length > 0) {
+      setTracks(storageService.getTracks())
+      toast.success(`Split ${matched.length} file${matched.length !== 1 ? 's' : ''} into cue tracks`)
+    }
+    if (unmatched.length > 0) {
+      toast.error(`No track found for ${unmatched.length} cue sheet${unmatched.length !== 1 ? 's' : ''}`, {
+        description: unmatched.join(', ')
+      })
     }
   }
 
-  const handleTrackSelect = (track) => {
+  const handleResolveDuplicates = async (strategy) => {
+    const uploads = pendingUploads
+    setPendingUploads(null)
+    await addUploads(uploads, strategy)
+  }
+
+  // Cue tracks of the file already loaded reuse its audio, so playback carries on
+  const handleTrackSelect = async (track) => {
     if (currentTrack?.id !== track.id) {
-      setCurrentTrack(track)
-      setIsPlaying(false)
-      setCurrentTime(0)
+      const isSameSource = currentTrack && getSourceId(currentTrack) === getSourceId(track)
+      const url = isSameSource ? currentTrack.url : await storageService.getTrackURL(track)
+      playbackTimeRef.current = track.start || 0
+      setCurrentTrack({ ...track, url })
+      if (!isSameSource) setIsPlaying(false)
     }
   }
 
+  // Counts one play per track selection, for the storage panel's least-played view
+  const handlePlayStateChange = (playing) => {
+    setIsPlaying(playing)
+
+    if (playing && currentTrack && countedPlayRef.current !== currentTrack.id) {
+      countedPlayRef.current = currentTrack.id
+      if (storageService.recordPlay(getSourceId(currentTrack))) {
+        setTracks(storageService.getTracks())
+      }
+    }
+  }
+
+  const handleTimeUpdate = (time) => {
+    playbackTimeRef.current = time
+    persistSession.later()
+  }
+
   const handleTrackDelete = (trackId) => {
-    const updatedTracks = tracks.filter(track => track.id !== trackId)
-    setTracks(updatedTracks)
-    storageService.saveTracks(updatedTracks)
+    const trashedTrack = storageService.moveToTrash(trackId)
+    if (!trashedTrack) return
+
+    setTracks(tracks.filter(track => track.id !== trackId))
+    setTrash(storageService.getTrash())
     
-    if (currentTrack?.id === trackId) {
+    if (currentTrack && getSourceId(currentTrack) === trackId) {
       setCurrentTrack(null)
       setIsPlaying(false)
-      setCurrentTime(0)
     }
+
+    toast(`Moved "${trashedTrack.name}" to trash`, {
+      action: {
+        label: 'Undo',
+        onClick: () => handleTrackRestore(trackId)
+      }
+    })
   }
 
-  const handlePlayPause = () => {
-    if (currentTrack) {
-      setIsPlaying(!isPlaying)
+  const handleTrackRestore = (trackId) => {
+    if (storageService.restoreFromTrash(trackId)) {
+      setTracks(storageService.getTracks())
+      setTrash(storageService.getTrash())
     }
   }
 
-  const handleNext = () => {
-    if (tracks.length === 0) return
-    
-    const currentIndex = tracks.findIndex(track => track.id === currentTrack?.id)
-    const nextIndex = currentIndex < tracks.length - 1 ? currentIndex + 1 : 0
-    setCurrentTrack(tracks[nextIndex])
-    setCurrentTime(0)
+  const handleTrashDelete = (trackId) => {
+    storageService.deleteFromTrash(trackId)
+    setTrash(storageService.getTrash())
   }
 
-  const handlePrevious = () => {
-    if (tracks.length === 0) return
-    
-    const currentIndex = tracks.findIndex(track => track.id === currentTrack?.id)
-    const prevIndex = currentIndex > 0 ? currentIndex - 1 : tracks.length - 1
-    setCurrentTrack(tracks[prevIndex])
-    setCurrentTime(0)
+  const handleEmptyTrash = () => {
+    storageService.emptyTrash()
+    setTrash([])
   }
 
-  const handleSeek = (time) => {
-    setCurrentTime(time)
+  const handleDeleteTracks = (trackIds) => {
+    trackIds.forEach(trackId => storageService.removeTrack(trackId))
+    setTracks(storageService.getTracks())
+
+    if (currentTrack && trackIds.includes(getSourceId(currentTrack))) {
+      setCurrentTrack(null)
+      setIsPlaying(false)
+    }
   }
 
-  const handleTimeUpdate = (time) => {
-    if (!isDragging) {
-      setCurrentTime(time)
+  const handleRelink = async (items) => {
+    const result = await storageService.relinkTracks(missingTracks, items)
+    setMissingTracks(await storageService.findMissingTracks(tracks))
+    return result
+  }
+
+  const handleTagsChanged = (updatedCount) => {
+    if (updatedCount > 0) {
+      setTracks(storageService.getTracks())
+    }
+  }
+
+  // Health repairs can rename, retype or trash tracks, so reload everything
+  const handleLibraryRepaired = () => {
+    const repairedTracks = storageService.getTracks()
+    setTracks(repairedTracks)
+    setTrash(storageService.getTrash())
+
+    if (currentTrack && !repairedTracks.some(track => track.id === getSourceId(currentTrack))) {
+      setCurrentTrack(null)
+      setIsPlaying(false)
+    }
+  }
+
+  const handleEnableEncryption = async (passphrase) => {
+    const enabled = await storageService.enableEncryption(passphrase)
+    if (enabled) {
+      setIsEncrypted(true)
+      toast.success('Library encrypted')
+    }
+    return enabled
+  }
+
+  const handleDisableEncryption = async (passphrase) => {
+    const disabled = await storageService.disableEncryption(passphrase)
+    if (disabled) {
+      setIsEncrypted(false)
+      toast.success('Encryption turned off')
+    }
+    return disabled
+  }
+
+  // Reloading drops every decrypted track and object URL held in memory
+  const handleLock = async () => {
+    persistSession.now()
+    await storageService.lock()
+    window.location.reload()
+  }
+
+  const handleTrashRetentionChange = (days) => {
+    setTrashRetentionDays(days)
+    storageService.saveSettings({ trashRetentionDays: days })
+    storageService.purgeTrash(days)
+    setTrash(storageService.getTrash())
+  }
+
+  const handleExportLibrary = async () => {
+    const archive = await storageService.exportLibrary()
+    if (archive) {
+      const date = new Date().toISOString().slice(0, 10)
+      const profileName = activeProfileId !== DEFAULT_PROFILE_ID && activeProfile
+        ? `-${activeProfile.name.replace(/[^\w-]+/g, '_')}`
+        : ''
+      downloadBlob(archive, `music-library${profileName}-${date}.tar`)
+    }
+  }
+
+  // Reloading starts the other profile from a clean slate (and its own lock screen)
+  const handleSwitchProfile = async (profileId) => {
+    persistSession.now()
+    if (await storageService.switchProfile(profileId)) {
+      window.location.reload()
+    }
+  }
+
+  const handleCreateProfile = (name) => {
+    const profile = storageService.createProfile(name)
+    if (profile) {
+      setProfiles(storageService.getProfiles())
+      toast.success(`Created profile "${profile.name}"`)
+    }
+  }
+
+  const handleRenameProfile = (profileId, name) => {
+    if (storageService.renameProfile(profileId, name)) {
+      setProfiles(storageService.getProfiles())
+    }
+  }
+
+  const handleDeleteProfile = async (profileId) => {
+    const profile = profiles.find(item => item.id === profileId)
+    if (await storageService.deleteProfile(profileId)) {
+      setProfiles(storageService.getProfiles())
+      toast(`Deleted profile "${profile?.name}"`)
+    }
+  }
+
+  const handleImportLibrary = async (file) => {
+    const report = await storageService.importLibrary(file, { dryRun: true })
+    setPendingImport({ file, report })
+  }
+
+  const handleConfirmImport = async (mode) => {
+    setIsImporting(true)
+    const report = await storageService.importLibrary(pendingImport.file, { mode })
+    setIsImporting(false)
+
+    if (!report.applied) {
+      setPendingImport({ ...pendingImport, report })
+      return
+    }
+
+    setPendingImport(null)
+    setCurrentTrack(null)
+    setIsPlaying(false)
+    setTracks(storageService.getTracks())
+
+    const savedSettings = storageService.getSettings()
+    if (savedSettings.volume !== undefined) {
+      setVolume(savedSettings.volume)
     }
   }
 
   const handleDurationChange = (newDuration) => {
-    setDuration(newDuration)
+    const storedTrack = currentTrack && tracks.find(track => track.id === getSourceId(currentTrack))
     
-    if (currentTrack && currentTrack.duration === 0) {
-      const updatedTrack = { ...currentTrack, duration: newDuration }
+    // The decoder's figure wins over one estimated from the file's headers
+    if (storedTrack && Number.isFinite(newDuration) && Math.abs((storedTrack.duration || 0) - newDuration) > DURATION_TOLERANCE) {
       const updatedTracks = tracks.map(track => 
-        track.id === currentTrack.id ? updatedTrack : track
+        track.id === storedTrack.id ? { ...track, duration: newDuration } : track
       )
       setTracks(updatedTracks)
-      setCurrentTrack(updatedTrack)
       storageService.saveTracks(updatedTracks)
     }
   }
 
-  const handleTrackEnd = () => {
-    handleNext()
-  }
-
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900">
       <div className="container mx-auto px-4 py-8 max-w-6xl">
@@ -153,6 +531,14 @@ function App() {
           <p className="text-slate-300 text-lg">
             Upload, play, and visualize your music collection
           </p>
+          <button
+            onClick={() => setShowProfiles(true)}
+            className="mt-4 inline-flex items-center gap-2 px-4 py-1.5 rounded-full bg-slate-800/60 border border-slate-700/50 text-slate-300 hover:text-white transition-colors"
+            title="Switch or manage profiles"
+          >
+            <UserRound size={16} />
+            {activeProfile?.name || 'Profile'}
+          </button>
         </motion.header>
 
         <div className="grid lg:grid-cols-3 gap-8">
@@ -162,21 +548,13 @@ function App() {
             className="lg:col-span-2"
           >
             <AudioPlayer
-              track={currentTrack}
-              isPlaying={isPlaying}
-              currentTime={currentTime}
-              duration={duration}
-              volume={volume}
-              onPlayPause={handlePlayPause}
-              onNext={handleNext}
-              onPrevious={handlePrevious}
-              onSeek={handleSeek}
-              onVolumeChange={setVolume}
-              onTimeUpdate={handleTimeUpdate}
+              currentTrack={currentTrack}
+              tracks={queue}
+              onTrackChange={handleTrackSelect}
+              onFileUpload={handleFileUpload}
+              onPlayStateChange={handlePlayStateChange}
               onDurationChange={handleDurationChange}
-              onTrackEnd={handleTrackEnd}
-              onDragStart={() => setIsDragging(true)}
-              onDragEnd={() => setIsDragging(false)}
+              onTimeUpdate={handleTimeUpdate}
             />
           </motion.div>
 
@@ -186,18 +564,114 @@ function App() {
             className="lg:col-span-1"
           >
             <TrackList
-              tracks={tracks}
+              tracks={playableTracks}
               currentTrack={currentTrack}
               isPlaying={isPlaying}
               onTrackSelect={handleTrackSelect}
               onTrackDelete={handleTrackDelete}
               onFileUpload={handleFileUpload}
+              onExportLibrary={handleExportLibrary}
+              onImportLibrary={handleImportLibrary}
+              trashCount={trash.length}
+              onOpenTrash={() => setShowTrash(true)}
+              onOpenStorage={() => setShowStorage(true)}
+              missingCount={missingTracks.length}
+              onOpenMissing={() => setShowMissing(true)}
+              onOpenHealth={() => setShowHealth(true)}
+              onOpenPatterns={() => setShowPatterns(true)}
+              onEditTags={setEditingTrackIds}
+              isEncrypted={isEncrypted}
+              onOpenEncryption={() => setShowEncryption(true)}
               showUpload={showUpload}
               onToggleUpload={() => setShowUpload(!showUpload)}
             />
           </motion.div>
         </div>
 
+        <ImportDialog
+          pendingImport={pendingImport}
+          isImporting={isImporting}
+          onCancel={() => setPendingImport(null)}
+          onConfirm={handleConfirmImport}
+        />
+
+        <DuplicateDialog
+          uploads={pendingUploads}
+          onCancel={() => setPendingUploads(null)}
+          onResolve={handleResolveDuplicates}
+        />
+
+        <TrashDialog
+          open={showTrash}
+          trash={trash}
+          retentionDays={trashRetentionDays}
+          onOpenChange={setShowTrash}
+          onRestore={handleTrackRestore}
+          onDelete={handleTrashDelete}
+          onEmpty={handleEmptyTrash}
+          onRetentionChange={handleTrashRetentionChange}
+        />
+
+        <StorageDialog
+          open={showStorage}
+          tracks={tracks}
+          trash={trash}
+          onOpenChange={setShowStorage}
+          onDeleteTracks={handleDeleteTracks}
+          onEmptyTrash={handleEmptyTrash}
+        />
+
+        <MissingFilesDialog
+          open={showMissing}
+          missingTracks={missingTracks}
+          onOpenChange={setShowMissing}
+          onRelink={handleRelink}
+        />
+
+        <HealthDialog
+          open={showHealth}
+          onOpenChange={setShowHealth}
+          onRepaired={handleLibraryRepaired}
+          onOpenMissing={() => setShowMissing(true)}
+        />
+
+        <FilenamePatternsDialog
+          open={showPatterns}
+          samplePaths={patternSamples}
+          onOpenChange={setShowPatterns}
+          onApplied={handleTagsChanged}
+        />
+
+        <TagEditorDialog
+          open={editingTracks.length > 0}
+          tracks={editingTracks}
+          onOpenChange={(open) => !open && setEditingTrackIds([])}
+          onSaved={handleTagsChanged}
+        />
+
+        <EncryptionDialog
+          open={showEncryption}
+          isEncrypted={isEncrypted}
+          onOpenChange={setShowEncryption}
+          onEnable={handleEnableEncryption}
+          onDisable={handleDisableEncryption}
+          onLock={handleLock}
+        />
+
+        <ProfilesDialog
+          open={showProfiles}
+          profiles={profiles}
+          activeProfileId={activeProfileId}
+          onOpenChange={setShowProfiles}
+          onSwitch={handleSwitchProfile}
+          onCreate={handleCreateProfile}
+          onRename={handleRenameProfile}
+          onDelete={handleDeleteProfile}
+          onExport={handleExportLibrary}
+        />
+
+        <Toaster theme="dark" position="bottom-center" />
+
         {tracks.length === 0 && (
           <motion.div 
             initial={{ opacity: 0, y: 20 }}
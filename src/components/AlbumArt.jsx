@@ -0,0 +1,11 @@
+import useArtworkURL from '../hooks/useArtworkURL';
+
+// Shows the fallback until the thumbnail loads, and for tracks without art
+const AlbumArt = ({ artworkId, className = '', fallback = null }) => {
+  const url = useArtworkURL(artworkId);
+  if (!url) return fallback;
+
+  return <img src={url} alt="" className={`object-cover ${className}`} draggable={false} />;
+};
+
+export default AlbumArt;
@@ -1,22 +1,41 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { Play, Pause, SkipBack, SkipForward, Volume2, Upload } from 'lucide-react';
+import { Play, Pause, SkipBack, SkipForward, StepBack, StepForward, Volume2, Upload, Mic2, ListOrdered } from 'lucide-react';
 import audioService  from '../services/audioService';
-import storageService  from '../services/storageService';
-
-const AudioPlayer = ({ currentTrack, tracks, onTrackChange, onTracksUpdate }) => {
+import syncService, { SYNC_EVENTS } from '../services/syncService';
+import useArtworkURL from '../hooks/useArtworkURL';
+import LyricsPanel from './LyricsPanel';
+import ChaptersPanel from './ChaptersPanel';
+import { getSourceId } from '../utils/cueSheet';
+import { findCurrentChapter, findPreviousChapterStart, getTrackChapters } from '../utils/chapters';
+
+const AudioPlayer = ({ currentTrack, tracks, onTrackChange, onFileUpload, onPlayStateChange, onDurationChange, onTimeUpdate }) => {
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
   const [volume, setVolume] = useState(1);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [remotePlayback, setRemotePlayback] = useState(syncService.getRemotePlayback());
+  const [showLyrics, setShowLyrics] = useState(false);
+  const [showChapters, setShowChapters] = useState(true);
 
   const audioRef = useRef(null);
   const canvasRef = useRef(null);
   const fileInputRef = useRef(null);
   const animationRef = useRef(null);
-
+  // Audio listeners outlive the render that added them; these keep them current
+  const currentTrackRef = useRef(currentTrack);
+  const handleNextRef = useRef(null);
+  const finishedTrackRef = useRef(null);
+  const artworkURL = useArtworkURL(currentTrack?.artworkId);
+  const sourceId = currentTrack ? getSourceId(currentTrack) : null;
+  currentTrackRef.current = currentTrack;
+  const chapters = getTrackChapters(currentTrack);
+  const chapterIndex = findCurrentChapter(chapters, currentTime);
+  const currentChapter = chapters[chapterIndex] || null;
+
+  // Cue tracks of one file share its audio, so only a new file reloads
   useEffect(() => {
     if (currentTrack) {
       loadTrack(currentTrack);
@@ -27,8 +46,47 @@ const AudioPlayer = ({ currentTrack, tracks, onTrackChange, onTracksUpdate }) =>
       }
       audioService.cleanup();
     };
+  }, [sourceId, currentTrack?.url]);
+
+  // Moving to another cue track of the loaded file seeks to its start. Playing
+  // on into the next one is already there, so it doesn't skip.
+  useEffect(() => {
+    finishedTrackRef.current = null;
+    const audio = audioRef.current;
+    if (!audio || !currentTrack?.sourceId || audio.readyState === 0) return;
+
+    const start = currentTrack.start || 0;
+    const isInside = audio.currentTime >= start - 0.5 && (!currentTrack.end || audio.currentTime < currentTrack.end);
+    if (!isInside) seekTo(start);
   }, [currentTrack]);
 
+  // Only one tab plays at a time: stop when another tab starts playing
+  useEffect(() => {
+    return syncService.subscribe((message) => {
+      if (message.type === SYNC_EVENTS.PLAYBACK_CLAIMED) {
+        audioRef.current?.pause();
+        setIsPlaying(false);
+        onPlayStateChange?.(false);
+      }
+      if (message.type === SYNC_EVENTS.PLAYBACK_CLAIMED || message.type === SYNC_EVENTS.PLAYBACK_RELEASED) {
+        setRemotePlayback(syncService.getRemotePlayback());
+      }
+    });
+  }, [onPlayStateChange]);
+
+  // Lock screens and system media controls show the track and its cover. In a
+  // chaptered track the chapter is the title and the track takes the album line.
+  useEffect(() => {
+    if (!currentTrack || !('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: currentChapter?.title || currentTrack.name,
+      artist: currentTrack.artist || '',
+      album: currentChapter ? currentTrack.name : currentTrack.album || '',
+      artwork: artworkURL ? [{ src: artworkURL }] : []
+    });
+  }, [currentTrack, currentChapter, artworkURL]);
+
   useEffect(() => {
     if (isPlaying && canvasRef.current) {
       startVisualization();
@@ -51,18 +109,30 @@ const AudioPlayer = ({ currentTrack, tracks, onTrackChange, onTracksUpdate }) =>
       audioRef.current = audio;
 
       audio.addEventListener('loadedmetadata', () => {
+        // Restored sessions pick up where they left off, cue tracks at their cue point
+        const startTime = track.startTime || track.start;
+        if (startTime && startTime < audio.duration) {
+          audio.currentTime = startTime;
+          setCurrentTime(startTime);
+        }
         setDuration(audio.duration);
         setIsLoading(false);
+        onDurationChange?.(audio.duration);
       });
 
       audio.addEventListener('timeupdate', () => {
         setCurrentTime(audio.currentTime);
-      });
+        onTimeUpdate?.(audio.currentTime);
 
-      audio.addEventListener('ended', () => {
-        handleNext();
+        // A cue track ends at the next cue point, before the file does
+        const { end } = currentTrackRef.current || {};
+        if (end && audio.currentTime >= end) {
+          finishTrack();
+        }
       });
 
+      audio.addEventListener('ended', finishTrack);
+
       audio.addEventListener('error', (e) => {
         setError('Failed to load audio file');
         setIsLoading(false);
@@ -83,9 +153,14 @@ const AudioPlayer = ({ currentTrack, tracks, onTrackChange, onTracksUpdate }) =>
       if (isPlaying) {
         audioRef.current.pause();
         setIsPlaying(false);
+        onPlayStateChange?.(false);
+        syncService.releasePlayback();
       } else {
         await audioRef.current.play();
         setIsPlaying(true);
+        onPlayStateChange?.(true);
+        syncService.claimPlayback(currentTrack?.name);
+        setRemotePlayback(null);
       }
     } catch (err) {
       setError('Playback failed');
@@ -106,13 +181,41 @@ const AudioPlayer = ({ currentTrack, tracks, onTrackChange, onTracksUpdate }) =>
     onTrackChange(tracks[nextIndex]);
   };
 
-  const handleSeek = (e) => {
+  handleNextRef.current = handleNext;
+
+  // timeupdate and ended can both report the end of the last cue track
+  const finishTrack = () => {
+    const track = currentTrackRef.current;
+    if (!track || finishedTrackRef.current === track.id) return;
+    finishedTrackRef.current = track.id;
+    handleNextRef.current();
+  };
+
+  const seekTo = (time) => {
     if (!audioRef.current) return;
+    audioRef.current.currentTime = time;
+    setCurrentTime(time);
+  };
+
+  const handlePreviousChapter = () => {
+    const start = findPreviousChapterStart(chapters, currentTime);
+    if (start !== null) seekTo(start);
+  };
+
+  const handleNextChapter = () => {
+    const next = chapters[chapterIndex + 1];
+    if (next) seekTo(next.start);
+  };
+
+  // Cue tracks show and seek within their own part of the file
+  const trackStart = currentTrack?.start || 0;
+  const trackDuration = Math.max(0, (currentTrack?.end ?? duration) - trackStart);
+  const trackTime = Math.min(Math.max(0, currentTime - trackStart), trackDuration);
+
+  const handleSeek = (e) => {
     const rect = e.currentTarget.getBoundingClientRect();
     const percent = (e.clientX - rect.left) / rect.width;
-    const newTime = percent * duration;
-    audioRef.current.currentTime = newTime;
-    setCurrentTime(newTime);
+    seekTo(trackStart + percent * trackDuration);
   };
 
   const handleVolumeChange = (e) => {
@@ -129,31 +232,7 @@ const AudioPlayer = ({ currentTrack, tracks, onTrackChange, onTracksUpdate }) =>
 
     setIsLoading(true);
     try {
-      const newTracks = [];
-      
-      for (const file of files) {
-        if (file.type.startsWith('audio/')) {
-          const track = {
-            id: Date.now() + Math.random(),
-            name: file.name.replace(/\.[^/.]+$/, ''),
-            file: file,
-            url: URL.createObjectURL(file),
-            duration: 0,
-            uploadedAt: new Date().toISOString()
-          };
-          newTracks.push(track);
-        }
-      }
-
-      if (newTracks.length > 0) {
-        const updatedTracks = [...tracks, ...newTracks];
-        await storageService.saveTracks(updatedTracks);
-        onTracksUpdate(updatedTracks);
-        
-        if (!currentTrack) {
-          onTrackChange(newTracks[0]);
-        }
-      }
+      await onFileUpload(files);
     } catch (err) {
       setError('Failed to upload files');
     } finally {
@@ -239,28 +318,77 @@ const AudioPlayer = ({ currentTrack, tracks, onTrackChange, onTracksUpdate }) =>
         />
       </div>
 
-      {/* Track Info */}
+      {/* Track Info, with the chapter list beside it */}
       {currentTrack && (
-        <div className="text-center mb-6">
-          <h3 className="text-xl font-semibold text-gray-800 mb-2">
-            {currentTrack.name}
-          </h3>
-          <div className="flex justify-between text-sm text-gray-500">
-            <span>{formatTime(currentTime)}</span>
-            <span>{formatTime(duration)}</span>
+        <div className="sm:flex sm:items-start sm:gap-6">
+          <div className="flex-1 min-w-0 text-center mb-6">
+            {artworkURL && (
+              <img
+                src={artworkURL}
+                alt=""
+                className="w-32 h-32 mx-auto mb-4 rounded-lg object-cover shadow-md"
+              />
+            )}
+            <h3 className="text-xl font-semibold text-gray-800 mb-1">
+              {currentTrack.name}
+            </h3>
+            {(currentTrack.artist || currentTrack.album) && (
+              <p className="text-sm text-gray-500 mb-2 truncate">
+                {[currentTrack.artist, currentTrack.album].filter(Boolean).join(' — ')}
+              </p>
+            )}
+            {currentChapter && (
+              <p className="text-sm text-blue-600 mb-2 truncate">{currentChapter.title}</p>
+            )}
+            <div className="flex justify-between text-sm text-gray-500">
+              <span>{formatTime(trackTime)}</span>
+              <span>{formatTime(trackDuration)}</span>
+            </div>
           </div>
+
+          {showChapters && chapters.length > 0 && (
+            <ChaptersPanel
+              chapters={chapters}
+              currentIndex={chapterIndex}
+              offset={trackStart}
+              onSeek={seekTo}
+            />
+          )}
+        </div>
+      )}
+
+      {/* Lyrics */}
+      {currentTrack && showLyrics && (
+        <LyricsPanel track={currentTrack} currentTime={currentTime} onSeek={seekTo} />
+      )}
+
+      {/* Another tab owns playback */}
+      {remotePlayback && (
+        <div className="mb-4 px-3 py-2 bg-purple-50 border border-purple-200 text-purple-700 rounded-lg text-sm text-center">
+          Playing in another tab{remotePlayback.trackName ? `: ${remotePlayback.trackName}` : ''}
         </div>
       )}
 
       {/* Progress Bar */}
       <div 
-        className="w-full bg-gray-200 rounded-full h-2 mb-6 cursor-pointer"
+        className="relative w-full bg-gray-200 rounded-full h-2 mb-6 cursor-pointer"
         onClick={handleSeek}
       >
         <div
           className="bg-blue-500 h-2 rounded-full transition-all duration-100"
-          style={{ width: `${duration ? (currentTime / duration) * 100 : 0}%` }}
+          style={{ width: `${trackDuration ? (trackTime / trackDuration) * 100 : 0}%` }}
         />
+        {/* Chapter markers; the first chapter usually starts at 0 and needs none */}
+        {trackDuration > 0 && chapters
+          .filter(chapter => chapter.start > trackStart)
+          .map(chapter => (
+            <div
+              key={chapter.start}
+              className="absolute top-0 h-2 w-1 -ml-0.5 bg-white/80 hover:bg-gray-800"
+              style={{ left: `${((chapter.start - trackStart) / trackDuration) * 100}%` }}
+              title={chapter.title}
+            />
+          ))}
       </div>
 
       {/* Controls */}
@@ -273,6 +401,16 @@ const AudioPlayer = ({ currentTrack, tracks, onTrackChange, onTracksUpdate }) =>
           <SkipBack size={20} />
         </button>
 
+        {chapters.length > 0 && (
+          <button
+            onClick={handlePreviousChapter}
+            className="p-2 rounded-full bg-gray-100 hover:bg-gray-200 transition-colors"
+            title="Previous chapter"
+          >
+            <StepBack size={20} />
+          </button>
+        )}
+
         <button
           onClick={handlePlayPause}
           disabled={!currentTrack || isLoading}
@@ -287,6 +425,17 @@ const AudioPlayer = ({ currentTrack, tracks, onTrackChange, onTracksUpdate }) =>
           )}
         </button>
 
+        {chapters.length > 0 && (
+          <button
+            onClick={handleNextChapter}
+            disabled={chapterIndex >= chapters.length - 1}
+            className="p-2 rounded-full bg-gray-100 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            title="Next chapter"
+          >
+            <StepForward size={20} />
+          </button>
+        )}
+
         <button
           onClick={handleNext}
           disabled={!tracks.length}
@@ -294,6 +443,29 @@ const AudioPlayer = ({ currentTrack, tracks, onTrackChange, onTracksUpdate }) =>
         >
           <SkipForward size={20} />
         </button>
+
+        <button
+          onClick={() => setShowLyrics(!showLyrics)}
+          disabled={!currentTrack}
+          className={`p-2 rounded-full disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${
+            showLyrics ? 'bg-blue-100 text-blue-600 hover:bg-blue-200' : 'bg-gray-100 hover:bg-gray-200'
+          }`}
+          title={showLyrics ? 'Hide lyrics' : 'Show lyrics'}
+        >
+          <Mic2 size={20} />
+        </button>
+
+        {chapters.length > 0 && (
+          <button
+            onClick={() => setShowChapters(!showChapters)}
+            className={`p-2 rounded-full transition-colors ${
+              showChapters ? 'bg-blue-100 text-blue-600 hover:bg-blue-200' : 'bg-gray-100 hover:bg-gray-200'
+            }`}
+            title={showChapters ? 'Hide chapters' : 'Show chapters'}
+          >
+            <ListOrdered size={20} />
+          </button>
+        )}
       </div>
 
       {/* Volume Control */}
@@ -0,0 +1,53 @@
+import { useEffect, useRef } from 'react';
+
+const formatTime = (time) => {
+  const totalSeconds = Math.floor(Math.max(0, time));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+// offset is where the track starts in its file, so cue tracks list times from their own start
+const ChaptersPanel = ({ chapters, currentIndex, offset = 0, onSeek }) => {
+  const containerRef = useRef(null);
+  const chapterRefs = useRef([]);
+
+  // Keeps the current chapter in view without jumping the list around
+  useEffect(() => {
+    const container = containerRef.current;
+    const chapter = chapterRefs.current[currentIndex];
+    if (!container || !chapter) return;
+
+    const isVisible = chapter.offsetTop >= container.scrollTop
+      && chapter.offsetTop + chapter.clientHeight <= container.scrollTop + container.clientHeight;
+    if (!isVisible) {
+      container.scrollTo({ top: chapter.offsetTop - container.clientHeight / 3, behavior: 'smooth' });
+    }
+  }, [currentIndex]);
+
+  return (
+    <div className="mb-6 sm:mb-0 sm:w-64 shrink-0 bg-gray-50 border border-gray-200 rounded-lg p-4">
+      <h4 className="mb-2 text-sm font-semibold text-gray-700">
+        Chapters <span className="font-normal text-gray-400">({chapters.length})</span>
+      </h4>
+      <div ref={containerRef} className="relative max-h-64 overflow-y-auto space-y-1 text-sm">
+        {chapters.map((chapter, index) => (
+          <button
+            key={`${chapter.start}-${index}`}
+            ref={(element) => { chapterRefs.current[index] = element; }}
+            onClick={() => onSeek(chapter.start)}
+            className={`w-full flex gap-3 px-2 py-1 rounded text-left transition-colors ${
+              index === currentIndex ? 'bg-blue-100 text-blue-700 font-medium' : 'text-gray-600 hover:bg-gray-100'
+            }`}
+          >
+            <span className="font-mono text-gray-400 shrink-0">{formatTime(chapter.start - offset)}</span>
+            <span className="truncate" title={chapter.title}>{chapter.title}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ChaptersPanel;
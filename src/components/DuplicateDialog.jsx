@@ -0,0 +1,67 @@
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+
+const MAX_LISTED_FILES = 5;
+
+const DuplicateDialog = ({ uploads, onCancel, onResolve }) => {
+  const duplicates = (uploads || []).filter(upload => upload.duplicateOf || upload.duplicateInBatch);
+  const canReplace = duplicates.some(upload => upload.duplicateOf);
+
+  return (
+    <Dialog open={duplicates.length > 0} onOpenChange={(open) => !open && onCancel()}>
+      <DialogContent className="bg-gray-900 text-white border-gray-700">
+        <DialogHeader>
+          <DialogTitle>Duplicate files</DialogTitle>
+          <DialogDescription className="text-gray-400">
+            {duplicates.length} of {uploads?.length} file{uploads?.length !== 1 ? 's are' : ' is'} already in your library or selected twice.
+          </DialogDescription>
+        </DialogHeader>
+
+        <ul className="text-sm text-gray-300 list-disc pl-5 space-y-1">
+          {duplicates.slice(0, MAX_LISTED_FILES).map((upload, index) => (
+            <li key={`${upload.hash}-${index}`} className="truncate">
+              {upload.file.name}
+              <span className="text-gray-500">
+                {upload.duplicateOf ? ` — same as "${upload.duplicateOf.name}"` : ' — selected twice'}
+              </span>
+            </li>
+          ))}
+          {duplicates.length > MAX_LISTED_FILES && (
+            <li className="text-gray-500">and {duplicates.length - MAX_LISTED_FILES} more</li>
+          )}
+        </ul>
+
+        <DialogFooter className="gap-2">
+          <button
+            onClick={() => onResolve('skip')}
+            className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors"
+          >
+            Skip duplicates
+          </button>
+          {canReplace && (
+            <button
+              onClick={() => onResolve('replace')}
+              className="px-4 py-2 rounded-lg bg-red-600 hover:bg-red-700 transition-colors"
+            >
+              Replace existing
+            </button>
+          )}
+          <button
+            onClick={() => onResolve('keep-both')}
+            className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 transition-colors"
+          >
+            Keep both
+          </button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default DuplicateDialog;
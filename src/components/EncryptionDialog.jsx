@@ -0,0 +1,141 @@
+import { useEffect, useState } from 'react';
+import { Lock, ShieldCheck } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const inputClassName = 'w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-white';
+
+const EncryptionDialog = ({ open, isEncrypted, onOpenChange, onEnable, onDisable, onLock }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    if (!open) {
+      setPassphrase('');
+      setConfirmation('');
+      setError('');
+    }
+  }, [open]);
+
+  const run = async (action, failureMessage) => {
+    setIsWorking(true);
+    setError('');
+    const succeeded = await action(passphrase);
+    setIsWorking(false);
+
+    if (succeeded) {
+      onOpenChange(false);
+    } else {
+      setError(failureMessage);
+    }
+  };
+
+  const handleEnable = (event) => {
+    event.preventDefault();
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters`);
+      return;
+    }
+    if (passphrase !== confirmation) {
+      setError('Passphrases don\'t match');
+      return;
+    }
+    run(onEnable, 'Could not encrypt the library');
+  };
+
+  const handleDisable = (event) => {
+    event.preventDefault();
+    run(onDisable, 'Wrong passphrase');
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-gray-900 text-white border-gray-700">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            {isEncrypted ? <ShieldCheck size={18} /> : <Lock size={18} />}
+            Encryption
+          </DialogTitle>
+          <DialogDescription className="text-gray-400">
+            {isEncrypted
+              ? 'Track details and audio are encrypted with your passphrase.'
+              : 'Encrypt track details and audio with a passphrase. The library stays locked until it is entered.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {isEncrypted ? (
+          <>
+            <button
+              onClick={onLock}
+              className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 transition-colors"
+            >
+              <Lock size={16} />
+              Lock now
+            </button>
+
+            <form onSubmit={handleDisable} className="space-y-3 pt-4 border-t border-gray-700">
+              <p className="text-sm text-gray-300">Turn off encryption</p>
+              <input
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                placeholder="Current passphrase"
+                autoComplete="current-password"
+                className={inputClassName}
+              />
+              {error && <p className="text-sm text-red-400">{error}</p>}
+              <button
+                type="submit"
+                disabled={!passphrase || isWorking}
+                className="w-full px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {isWorking ? 'Decrypting…' : 'Decrypt library'}
+              </button>
+            </form>
+          </>
+        ) : (
+          <form onSubmit={handleEnable} className="space-y-3">
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder="Passphrase"
+              autoComplete="new-password"
+              className={inputClassName}
+            />
+            <input
+              type="password"
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              placeholder="Repeat passphrase"
+              autoComplete="new-password"
+              className={inputClassName}
+            />
+            <p className="text-xs text-gray-400">
+              There is no way to recover a forgotten passphrase.
+            </p>
+            {error && <p className="text-sm text-red-400">{error}</p>}
+            <button
+              type="submit"
+              disabled={!passphrase || isWorking}
+              className="w-full px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {isWorking ? 'Encrypting…' : 'Encrypt library'}
+            </button>
+          </form>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default EncryptionDialog;
@@ -0,0 +1,177 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Tags } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import storageService from '../services/storageService';
+import {
+  DEFAULT_FILENAME_PATTERNS,
+  PATTERN_PLACEHOLDERS,
+  inferTagsFromPath,
+  validatePattern
+} from '../utils/filenamePatterns';
+
+const SAMPLE_COUNT = 6;
+
+const FIELD_LABELS = {
+  trackNumber: 'Track',
+  discNumber: 'Disc',
+  artist: 'Artist',
+  albumArtist: 'Album artist',
+  album: 'Album',
+  title: 'Title',
+  year: 'Year',
+  genre: 'Genre'
+};
+
+const toLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+const FilenamePatternsDialog = ({ open, onOpenChange, samplePaths, onApplied }) => {
+  const [patternText, setPatternText] = useState('');
+  const [customSample, setCustomSample] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setPatternText(storageService.getFilenamePatterns().join('\n'));
+      setMessage('');
+    }
+  }, [open]);
+
+  const patterns = toLines(patternText);
+  const errors = patterns
+    .map(pattern => ({ pattern, error: validatePattern(pattern) }))
+    .filter(entry => entry.error);
+
+  // Live preview: how the first pattern that fits splits each sample
+  const previews = useMemo(() => {
+    const validPatterns = toLines(patternText).filter(pattern => !validatePattern(pattern));
+    const samples = [customSample.trim(), ...samplePaths.slice(0, SAMPLE_COUNT)].filter(Boolean);
+    return samples.map(sample => ({ sample, ...inferTagsFromPath(sample, validPatterns) }));
+  }, [patternText, customSample, samplePaths]);
+
+  const handleSave = (fillLibrary) => {
+    if (!storageService.saveFilenamePatterns(patterns)) {
+      setMessage('Could not save the patterns');
+      return;
+    }
+
+    if (!fillLibrary) {
+      onOpenChange(false);
+      return;
+    }
+
+    try {
+      const updated = storageService.applyFilenamePatterns(patterns);
+      setMessage(`Filled in tags for ${updated} track${updated !== 1 ? 's' : ''}`);
+      onApplied(updated);
+    } catch (error) {
+      console.error('Failed to apply filename patterns:', error);
+      setMessage(`Could not fill in tags: ${error.message}`);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-gray-900 text-white border-gray-700 max-w-2xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Tags size={18} />
+            Tags from file names
+          </DialogTitle>
+          <DialogDescription className="text-gray-400">
+            Files without embedded tags are named using the first pattern that fits.
+            Patterns with a / also match the folders above the file.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2 text-sm">
+          <textarea
+            value={patternText}
+            onChange={(e) => setPatternText(e.target.value)}
+            rows={Math.max(4, patterns.length + 1)}
+            spellCheck={false}
+            className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 font-mono text-sm"
+            placeholder="{track} - {artist} - {title}"
+          />
+          <p className="text-gray-400">
+            One pattern per line. Placeholders:{' '}
+            {Object.keys(PATTERN_PLACEHOLDERS).map(field => `{${field}}`).join(' ')}
+          </p>
+          {errors.map(({ pattern, error }) => (
+            <p key={pattern} className="text-red-300 truncate">
+              {pattern}: {error}
+            </p>
+          ))}
+        </div>
+
+        <div className="space-y-2 text-sm">
+          <input
+            type="text"
+            value={customSample}
+            onChange={(e) => setCustomSample(e.target.value)}
+            className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2"
+            placeholder="Try a file name, e.g. Artist/Album/03 - Title.mp3"
+          />
+          <div className="max-h-64 overflow-y-auto space-y-2">
+            {previews.length === 0 && (
+              <p className="text-gray-500">Add tracks or type a file name to preview the patterns.</p>
+            )}
+            {previews.map(({ sample, pattern, tags }, index) => (
+              <div key={`${sample}-${index}`} className="p-2 bg-gray-800 rounded-lg">
+                <p className="font-mono text-gray-300 truncate" title={sample}>{sample}</p>
+                {pattern ? (
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {Object.entries(FIELD_LABELS)
+                      .filter(([field]) => tags[field] !== undefined)
+                      .map(([field, label]) => (
+                        <span key={field} className="px-2 py-0.5 rounded bg-blue-900/60 text-blue-100">
+                          <span className="text-blue-300">{label}:</span> {tags[field]}
+                        </span>
+                      ))}
+                    <span className="px-2 py-0.5 text-gray-500 font-mono">{pattern}</span>
+                  </div>
+                ) : (
+                  <p className="text-gray-500 mt-1">No pattern fits</p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {message && <p className="text-sm text-gray-300">{message}</p>}
+
+        <DialogFooter className="gap-2">
+          <button
+            onClick={() => setPatternText(DEFAULT_FILENAME_PATTERNS.join('\n'))}
+            className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors sm:mr-auto"
+          >
+            Reset to defaults
+          </button>
+          <button
+            onClick={() => handleSave(true)}
+            disabled={errors.length > 0}
+            className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            title="Save, then fill in missing tags for tracks already in the library"
+          >
+            Save and fill in library
+          </button>
+          <button
+            onClick={() => handleSave(false)}
+            disabled={errors.length > 0}
+            className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            Save
+          </button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default FilenamePatternsDialog;
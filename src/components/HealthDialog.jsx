@@ -0,0 +1,212 @@
+import { useEffect, useState } from 'react';
+import { CheckCircle2, Stethoscope } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import storageService from '../services/storageService';
+import { HEALTH_ISSUES } from '../services/libraryHealth';
+
+const PREVIEW_COUNT = 5;
+
+const CATEGORIES = [
+  {
+    key: HEALTH_ISSUES.DUPLICATE_IDS,
+    label: 'Duplicate ids',
+    description: 'Several records share an id, so deleting or editing one affects the others.'
+  },
+  {
+    key: HEALTH_ISSUES.MISSING_AUDIO,
+    label: 'Missing audio',
+    description: 'No stored audio, file handle or URL. These tracks can\'t play.'
+  },
+  {
+    key: HEALTH_ISSUES.ZERO_DURATION,
+    label: 'Unknown duration',
+    description: 'The duration was never read, so it shows as --:--.'
+  },
+  {
+    key: HEALTH_ISSUES.INVALID_TYPE,
+    label: 'Non-audio type',
+    description: 'The stored MIME type isn\'t an audio type.'
+  },
+  {
+    key: HEALTH_ISSUES.ORPHANED_AUDIO,
+    label: 'Orphaned audio',
+    description: 'Stored audio that no track or trashed track uses.'
+  }
+];
+
+const HealthDialog = ({ open, onOpenChange, onRepaired, onOpenMissing }) => {
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const runCheck = async () => {
+    setBusy('check');
+    try {
+      setReport(await storageService.checkLibrary());
+    } catch (error) {
+      console.error('Failed to check library:', error);
+      setMessage(`Could not check the library: ${error.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  useEffect(() => {
+    if (open) {
+      runCheck();
+    } else {
+      setReport(null);
+      setMessage('');
+    }
+  }, [open]);
+
+  const repair = async (key, action) => {
+    setBusy(key);
+    try {
+      setMessage(await action());
+      onRepaired();
+      setReport(await storageService.checkLibrary());
+    } catch (error) {
+      console.error('Failed to repair library:', error);
+      setMessage(`Repair failed: ${error.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const ids = (key) => report.issues[key].map(issue => issue.id);
+
+  const REPAIRS = {
+    [HEALTH_ISSUES.DUPLICATE_IDS]: [{
+      label: 'Regenerate ids',
+      run: async () => {
+        const { renamed, failed } = await storageService.regenerateDuplicateIds();
+        return `Gave ${renamed.length} track${renamed.length !== 1 ? 's' : ''} a new id`
+          + (failed.length > 0 ? `, ${failed.length} could not be copied` : '');
+      }
+    }],
+    [HEALTH_ISSUES.MISSING_AUDIO]: [
+      {
+        label: 'Relink…',
+        run: async () => {
+          onOpenChange(false);
+          onOpenMissing();
+          return '';
+        }
+      },
+      {
+        label: 'Move to trash',
+        run: async () => {
+          const trashed = ids(HEALTH_ISSUES.MISSING_AUDIO).filter(id => storageService.moveToTrash(id));
+          return `Moved ${trashed.length} track${trashed.length !== 1 ? 's' : ''} to trash`;
+        }
+      }
+    ],
+    [HEALTH_ISSUES.ZERO_DURATION]: [{
+      label: 'Re-probe durations',
+      run: async () => {
+        const { repaired, failed } = await storageService.repairDurations(ids(HEALTH_ISSUES.ZERO_DURATION));
+        return `Read ${repaired.length} duration${repaired.length !== 1 ? 's' : ''}`
+          + (failed.length > 0 ? `, ${failed.length} could not be read` : '');
+      }
+    }],
+    [HEALTH_ISSUES.INVALID_TYPE]: [{
+      label: 'Fix types',
+      run: async () => {
+        const fixed = await storageService.repairTrackTypes();
+        return `Fixed ${fixed} type${fixed !== 1 ? 's' : ''} from file extensions`;
+      }
+    }],
+    [HEALTH_ISSUES.ORPHANED_AUDIO]: [{
+      label: 'Delete orphans',
+      run: async () => {
+        const removed = await storageService.pruneOrphanedAudio();
+        return `Deleted ${removed} orphaned file${removed !== 1 ? 's' : ''}`;
+      }
+    }]
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-gray-900 text-white border-gray-700 max-w-xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Stethoscope size={18} />
+            Library health
+          </DialogTitle>
+          <DialogDescription className="text-gray-400">
+            {report
+              ? `Checked ${report.total} track${report.total !== 1 ? 's' : ''}`
+              : 'Checking library…'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {message && <p className="text-sm text-gray-300">{message}</p>}
+
+        {report?.healthy && (
+          <p className="flex items-center justify-center gap-2 py-8 text-green-400">
+            <CheckCircle2 size={18} />
+            No problems found
+          </p>
+        )}
+
+        {report && !report.healthy && (
+          <div className="space-y-3 max-h-96 overflow-y-auto">
+            {CATEGORIES.filter(category => report.issues[category.key].length > 0).map(category => {
+              const issues = report.issues[category.key];
+              return (
+                <div key={category.key} className="p-3 bg-gray-800 rounded-lg text-sm">
+                  <div className="flex items-center justify-between gap-3">
+                    <p className="font-medium">{category.label} ({issues.length})</p>
+                    <div className="flex items-center gap-2">
+                      {REPAIRS[category.key].map(repairAction => (
+                        <button
+                          key={repairAction.label}
+                          onClick={() => repair(category.key, repairAction.run)}
+                          disabled={busy !== null}
+                          className="px-3 py-1 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors whitespace-nowrap"
+                        >
+                          {busy === category.key ? 'Working…' : repairAction.label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <p className="text-gray-400 mt-1">{category.description}</p>
+                  <ul className="mt-2 text-gray-300">
+                    {issues.slice(0, PREVIEW_COUNT).map(issue => (
+                      <li key={`${issue.id}-${issue.index ?? ''}`} className="truncate">
+                        {issue.name}
+                        {category.key === HEALTH_ISSUES.INVALID_TYPE && (
+                          <span className="text-gray-500"> ({issue.type || 'no type'})</span>
+                        )}
+                      </li>
+                    ))}
+                    {issues.length > PREVIEW_COUNT && (
+                      <li className="text-gray-500">and {issues.length - PREVIEW_COUNT} more</li>
+                    )}
+                  </ul>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <button
+          onClick={runCheck}
+          disabled={busy !== null}
+          className="self-end px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {busy === 'check' ? 'Checking…' : 'Check again'}
+        </button>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default HealthDialog;
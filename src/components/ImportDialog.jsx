@@ -0,0 +1,120 @@
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+
+const MAX_LISTED_ENTRIES = 5;
+
+const ImportDialog = ({ pendingImport, isImporting, onCancel, onConfirm }) => {
+  const report = pendingImport?.report;
+
+  const stats = report ? [
+    { label: 'In file', value: report.counts.incoming },
+    { label: 'New', value: report.counts.added },
+    { label: 'Conflicts', value: report.counts.conflicts },
+    { label: 'Invalid', value: report.counts.invalid }
+  ] : [];
+
+  return (
+    <Dialog open={!!pendingImport} onOpenChange={(open) => !open && onCancel()}>
+      <DialogContent className="bg-gray-900 text-white border-gray-700">
+        <DialogHeader>
+          <DialogTitle>Import library</DialogTitle>
+          <DialogDescription className="text-gray-400">
+            {pendingImport?.file.name}
+          </DialogDescription>
+        </DialogHeader>
+
+        {report && !report.valid && (
+          <div className="p-3 bg-red-900/40 border border-red-700 text-red-200 rounded-lg text-sm space-y-1">
+            <p className="font-medium">This file can&apos;t be imported.</p>
+            {report.errors.slice(0, MAX_LISTED_ENTRIES).map(error => (
+              <p key={error}>{error}</p>
+            ))}
+          </div>
+        )}
+
+        {report?.valid && (
+          <div className="space-y-4 text-sm">
+            <div className="grid grid-cols-4 gap-2 text-center">
+              {stats.map(stat => (
+                <div key={stat.label} className="bg-gray-800 rounded-lg p-2">
+                  <div className="text-lg font-semibold">{stat.value}</div>
+                  <div className="text-gray-400">{stat.label}</div>
+                </div>
+              ))}
+            </div>
+
+            {report.conflicts.length > 0 && (
+              <div>
+                <p className="text-gray-300 mb-1">Already in your library:</p>
+                <ul className="text-gray-400 list-disc pl-5">
+                  {report.conflicts.slice(0, MAX_LISTED_ENTRIES).map(conflict => (
+                    <li key={conflict.id} className="truncate">
+                      {conflict.incomingName || conflict.id}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {report.invalid.length > 0 && (
+              <div>
+                <p className="text-gray-300 mb-1">Skipped entries:</p>
+                <ul className="text-gray-400 list-disc pl-5">
+                  {report.invalid.slice(0, MAX_LISTED_ENTRIES).map(entry => (
+                    <li key={entry.index} className="truncate">
+                      #{entry.index + 1}: {entry.issues[0]}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {report.errors.length > 0 && (
+              <p className="text-red-300">{report.errors[0]}</p>
+            )}
+
+            <p className="text-gray-400">
+              Merge keeps your library and settings and takes the imported copy of conflicting tracks.
+              Replace swaps the whole library for the file&apos;s contents.
+            </p>
+          </div>
+        )}
+
+        <DialogFooter className="gap-2">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors"
+          >
+            Cancel
+          </button>
+          {report?.valid && (
+            <>
+              <button
+                onClick={() => onConfirm('merge')}
+                disabled={isImporting}
+                className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              >
+                Merge
+              </button>
+              <button
+                onClick={() => onConfirm('replace')}
+                disabled={isImporting}
+                className="px-4 py-2 rounded-lg bg-red-600 hover:bg-red-700 disabled:opacity-50 transition-colors"
+              >
+                Replace
+              </button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ImportDialog;
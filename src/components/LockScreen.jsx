@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Lock } from 'lucide-react';
+import storageService from '../services/storageService';
+
+const LockScreen = ({ onUnlock }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [confirmErase, setConfirmErase] = useState(false);
+  const profiles = storageService.getProfiles();
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!passphrase) return;
+
+    setIsUnlocking(true);
+    setError('');
+    const unlocked = await storageService.unlock(passphrase);
+    setIsUnlocking(false);
+
+    if (unlocked) {
+      onUnlock();
+    } else {
+      setError('Wrong passphrase');
+      setPassphrase('');
+    }
+  };
+
+  // Other profiles may not be encrypted, so start over with the chosen one
+  const handleProfileChange = async (event) => {
+    if (await storageService.switchProfile(event.target.value)) {
+      window.location.reload();
+    }
+  };
+
+  // Without the passphrase the library can't be recovered, only wiped
+  const handleErase = () => {
+    storageService.clearAllData();
+    onUnlock();
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 px-4">
+      <motion.form
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-gray-900 rounded-lg p-6 shadow-xl text-white space-y-4"
+      >
+        <div className="flex items-center gap-2 text-xl font-bold">
+          <Lock size={20} />
+          {storageService.getActiveProfile()?.name || 'Library'} is locked
+        </div>
+        <p className="text-sm text-gray-400">
+          Your tracks are encrypted. Enter the passphrase to unlock them.
+        </p>
+
+        {profiles.length > 1 && (
+          <label className="flex items-center justify-between gap-3 text-sm text-gray-300">
+            Profile
+            <select
+              value={storageService.getActiveProfileId()}
+              onChange={handleProfileChange}
+              className="bg-gray-800 border border-gray-700 rounded-lg px-2 py-1 text-white"
+            >
+              {profiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          placeholder="Passphrase"
+          autoFocus
+          autoComplete="current-password"
+          className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-white"
+        />
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={!passphrase || isUnlocking}
+          className="w-full px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {isUnlocking ? 'Unlocking…' : 'Unlock'}
+        </button>
+
+        <div className="pt-2 border-t border-gray-700 text-sm text-gray-400">
+          {confirmErase ? (
+            <div className="flex items-center justify-between gap-2">
+              <span>Delete every track for good?</span>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => setConfirmErase(false)}
+                  className="px-3 py-1 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={handleErase}
+                  className="px-3 py-1 rounded-lg bg-red-600 hover:bg-red-700 transition-colors"
+                >
+                  Erase
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              type="button"
+              onClick={() => setConfirmErase(true)}
+              className="hover:text-white transition-colors"
+            >
+              Forgot the passphrase? Erase the library
+            </button>
+          )}
+        </div>
+      </motion.form>
+    </div>
+  );
+};
+
+export default LockScreen;
@@ -0,0 +1,157 @@
+import { useEffect, useState } from 'react';
+import { Hand, Undo2 } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import { formatLrc, formatLrcTime, parseLrc } from '../utils/lrc';
+
+const LyricsEditorDialog = ({ open, onOpenChange, trackName, lyrics, currentTime, onSeek, onSave }) => {
+  const [mode, setMode] = useState('text');
+  const [text, setText] = useState('');
+  const [lines, setLines] = useState([]);
+  const [cursor, setCursor] = useState(0);
+  const [metadata, setMetadata] = useState({});
+
+  useEffect(() => {
+    if (!open) return;
+    setMode('text');
+    setText(lyrics || '');
+  }, [open, lyrics]);
+
+  const startTapping = () => {
+    // Synced lyrics keep their times, so tapping can start where they stop
+    const parsed = parseLrc(text);
+    setMetadata(parsed.metadata);
+    setLines(parsed.lines);
+    setCursor(Math.max(0, parsed.lines.findIndex(line => line.time === null)));
+    setMode('tap');
+  };
+
+  const stopTapping = () => {
+    setText(formatLrc(lines, metadata));
+    setMode('text');
+  };
+
+  // Stamps the current line with the playback position and moves on
+  const handleTap = () => {
+    if (cursor >= lines.length) return;
+    setLines(lines.map((line, index) => (index === cursor ? { ...line, time: currentTime } : line)));
+    setCursor(cursor + 1);
+  };
+
+  const handleUndo = () => {
+    if (cursor === 0) return;
+    setLines(lines.map((line, index) => (index === cursor - 1 ? { ...line, time: null } : line)));
+    setCursor(cursor - 1);
+  };
+
+  // Clicking a line makes it the next to tap and replays from the line before
+  const handleLineClick = (index) => {
+    setCursor(index);
+    const previous = lines[index - 1];
+    if (previous?.time !== null && previous?.time !== undefined) onSeek(previous.time);
+  };
+
+  const untimedCount = lines.filter(line => line.time === null).length;
+
+  const handleSave = () => {
+    onSave(mode === 'tap' ? formatLrc(lines, metadata) : text);
+    onOpenChange(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-gray-900 text-white border-gray-700 max-w-xl">
+        <DialogHeader>
+          <DialogTitle>Lyrics</DialogTitle>
+          <DialogDescription className="text-gray-400">
+            {mode === 'text'
+              ? `Paste plain lyrics or LRC for ${trackName}. Use Tap times to sync plain lyrics.`
+              : 'Play the track and tap as each line starts. Click a line to go back to it.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {mode === 'text' ? (
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={14}
+            spellCheck={false}
+            className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 font-mono text-sm"
+            placeholder={'[00:12.00]First line\n[00:17.50]Second line'}
+          />
+        ) : (
+          <div className="space-y-3">
+            <div className="flex items-center gap-2">
+              <button
+                onClick={handleTap}
+                disabled={cursor >= lines.length}
+                autoFocus
+                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                <Hand size={16} />
+                Tap
+              </button>
+              <button
+                onClick={handleUndo}
+                disabled={cursor === 0}
+                className="flex items-center gap-2 px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                <Undo2 size={16} />
+                Undo
+              </button>
+              <span className="ml-auto font-mono text-sm text-gray-400">{formatLrcTime(currentTime)}</span>
+            </div>
+            <div className="max-h-72 overflow-y-auto space-y-1 text-sm">
+              {lines.map((line, index) => (
+                <button
+                  key={index}
+                  onClick={() => handleLineClick(index)}
+                  className={`w-full flex gap-3 px-2 py-1 rounded text-left transition-colors ${
+                    index === cursor ? 'bg-blue-900/60 text-white' : 'text-gray-300 hover:bg-gray-800'
+                  }`}
+                >
+                  <span className="font-mono text-gray-500 w-16 shrink-0">
+                    {line.time === null ? '--:--.--' : formatLrcTime(line.time)}
+                  </span>
+                  <span className="truncate">{line.text}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <DialogFooter className="gap-2">
+          <button
+            onClick={mode === 'text' ? startTapping : stopTapping}
+            disabled={mode === 'text' && !text.trim()}
+            className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors sm:mr-auto"
+          >
+            {mode === 'text' ? 'Tap times' : 'Edit text'}
+          </button>
+          <button
+            onClick={() => onOpenChange(false)}
+            className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={mode === 'tap' && untimedCount > 0}
+            className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            title={mode === 'tap' && untimedCount > 0 ? `${untimedCount} line${untimedCount !== 1 ? 's' : ''} still need a time` : undefined}
+          >
+            Save
+          </button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default LyricsEditorDialog;
@@ -0,0 +1,125 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { FileUp, PencilLine } from 'lucide-react';
+import LyricsEditorDialog from './LyricsEditorDialog';
+import useTrackLyrics from '../hooks/useTrackLyrics';
+import storageService from '../services/storageService';
+import { findCurrentLine, parseLrc } from '../utils/lrc';
+import { getSourceId } from '../utils/cueSheet';
+
+// The last line has no next line to end it; fill it over this many seconds
+const LAST_LINE_SECONDS = 5;
+
+const LyricsPanel = ({ track, currentTime, onSeek }) => {
+  // Cue tracks show their file's lyrics, timed from the start of the file
+  const lyricsId = getSourceId(track);
+  const lyrics = useTrackLyrics(lyricsId);
+  const { synced, lines } = useMemo(() => parseLrc(lyrics || ''), [lyrics]);
+  const currentIndex = synced ? findCurrentLine(lines, currentTime) : -1;
+  const [isEditing, setIsEditing] = useState(false);
+  const [error, setError] = useState('');
+
+  const containerRef = useRef(null);
+  const lineRefs = useRef([]);
+
+  // Keeps the current line in the middle of the panel
+  useEffect(() => {
+    const container = containerRef.current;
+    const line = lineRefs.current[currentIndex];
+    if (!container || !line) return;
+
+    container.scrollTo({
+      top: line.offsetTop - container.clientHeight / 2 + line.clientHeight / 2,
+      behavior: 'smooth'
+    });
+  }, [currentIndex]);
+
+  const handleSave = (text) => {
+    setError(storageService.saveLyrics(lyricsId, text) ? '' : 'Could not save the lyrics');
+  };
+
+  const handleFileInput = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      handleSave(await file.text());
+    } catch (readError) {
+      console.error('Failed to read lyrics file:', readError);
+      setError('Could not read that file');
+    }
+  };
+
+  // How far through the current line playback is, for the karaoke fill
+  const lineProgress = (index) => {
+    const start = lines[index].time;
+    const end = lines[index + 1]?.time ?? start + LAST_LINE_SECONDS;
+    return end > start ? Math.min(1, Math.max(0, (currentTime - start) / (end - start))) : 1;
+  };
+
+  return (
+    <div className="mb-6 bg-gray-50 border border-gray-200 rounded-lg p-4">
+      <div className="flex items-center gap-2 mb-2 text-sm">
+        <h4 className="font-semibold text-gray-700 mr-auto">Lyrics</h4>
+        <label
+          className="flex items-center gap-1 text-gray-500 hover:text-gray-800 cursor-pointer transition-colors"
+          title="Load lyrics from an .lrc or text file"
+        >
+          <input type="file" accept=".lrc,.txt,text/plain" onChange={handleFileInput} className="hidden" />
+          <FileUp size={14} />
+          Import
+        </label>
+        <button
+          onClick={() => setIsEditing(true)}
+          className="flex items-center gap-1 text-gray-500 hover:text-gray-800 transition-colors"
+          title={lyrics && !synced ? 'Edit the lyrics or tap out their timing' : 'Edit the lyrics'}
+        >
+          <PencilLine size={14} />
+          {lyrics && !synced ? 'Sync' : 'Edit'}
+        </button>
+      </div>
+
+      <div ref={containerRef} className="relative max-h-48 overflow-y-auto text-center">
+        {lines.length === 0 && (
+          <p className="py-6 text-sm text-gray-400">No lyrics for this track yet.</p>
+        )}
+        {synced
+          ? lines.map((line, index) => (
+            <button
+              key={index}
+              ref={(element) => { lineRefs.current[index] = element; }}
+              onClick={() => onSeek(line.time)}
+              className={`block w-full px-2 py-1 rounded transition-all duration-200 hover:bg-gray-100 ${
+                index === currentIndex ? 'text-lg font-semibold' : 'text-gray-400'
+              }`}
+              style={index === currentIndex ? {
+                backgroundImage: `linear-gradient(to right, #2563eb ${lineProgress(index) * 100}%, #1f2937 ${lineProgress(index) * 100}%)`,
+                WebkitBackgroundClip: 'text',
+                backgroundClip: 'text',
+                color: 'transparent'
+              } : undefined}
+            >
+              {line.text || '♪'}
+            </button>
+          ))
+          : lines.map((line, index) => (
+            <p key={index} className="px-2 py-0.5 text-gray-600">{line.text}</p>
+          ))}
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+      <LyricsEditorDialog
+        open={isEditing}
+        onOpenChange={setIsEditing}
+        trackName={track.name}
+        lyrics={lyrics}
+        currentTime={currentTime}
+        onSeek={onSeek}
+        onSave={handleSave}
+      />
+    </div>
+  );
+};
+
+export default LyricsPanel;
@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { FolderSearch } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import { formatFileSize } from '../utils/helpers';
+import { isDirectoryPickerSupported, pickDirectoryFiles } from '../utils/fileSystem';
+
+const MissingFilesDialog = ({ open, missingTracks, onOpenChange, onRelink }) => {
+  const [result, setResult] = useState(null);
+  const [isRelinking, setIsRelinking] = useState(false);
+
+  const relink = async (items) => {
+    setIsRelinking(true);
+    try {
+      setResult(await onRelink(items));
+    } finally {
+      setIsRelinking(false);
+    }
+  };
+
+  const handleChooseFolder = async (event) => {
+    if (!isDirectoryPickerSupported()) return;
+
+    event.preventDefault();
+    try {
+      const entries = await pickDirectoryFiles();
+      if (entries) {
+        await relink(entries);
+      }
+    } catch (error) {
+      console.error('Failed to read folder:', error);
+    }
+  };
+
+  const handleFolderInput = async (event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    if (files.length > 0) {
+      await relink(files);
+    }
+  };
+
+  // React doesn't know the non-standard directory attributes
+  const setFolderInput = (input) => {
+    if (input) {
+      input.setAttribute('webkitdirectory', '');
+      input.setAttribute('directory', '');
+    }
+  };
+
+  const handleOpenChange = (nextOpen) => {
+    if (!nextOpen) setResult(null);
+    onOpenChange(nextOpen);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="bg-gray-900 text-white border-gray-700">
+        <DialogHeader>
+          <DialogTitle>Missing files</DialogTitle>
+          <DialogDescription className="text-gray-400">
+            These tracks have lost their audio. Choose the folder that holds the
+            originals and they will be matched by file name and size.
+          </DialogDescription>
+        </DialogHeader>
+
+        {result && (
+          <p className="text-sm text-gray-300">
+            Relinked {result.relinked.length} track{result.relinked.length !== 1 ? 's' : ''}
+            {result.unmatched.length > 0 && `, ${result.unmatched.length} still missing`}.
+          </p>
+        )}
+
+        {missingTracks.length === 0 ? (
+          <p className="text-center py-8 text-gray-400">Every track has its audio</p>
+        ) : (
+          <div className="space-y-1 max-h-64 overflow-y-auto text-sm">
+            {missingTracks.map(track => (
+              <div key={track.id} className="flex items-center justify-between gap-3 p-2 bg-gray-800 rounded-lg">
+                <span className="truncate">{track.relativePath || track.fileName || track.name}</span>
+                <span className="text-gray-400 whitespace-nowrap">{track.size ? formatFileSize(track.size) : '--'}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {missingTracks.length > 0 && (
+          <label
+            onClick={handleChooseFolder}
+            className={`self-end flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 cursor-pointer transition-colors ${
+              isRelinking ? 'opacity-50 pointer-events-none' : ''
+            }`}
+          >
+            <input
+              ref={setFolderInput}
+              type="file"
+              multiple
+              onChange={handleFolderInput}
+              className="hidden"
+            />
+            <FolderSearch size={16} />
+            {isRelinking ? 'Relinking…' : 'Choose folder'}
+          </label>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default MissingFilesDialog;
@@ -0,0 +1,150 @@
+import { useEffect, useState } from 'react';
+import { Check, Download, Pencil, Trash2, UserPlus, Users } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import { DEFAULT_PROFILE_ID } from '../services/storageService';
+
+const inputClassName = 'flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded-lg px-3 py-1 text-white';
+
+const ProfilesDialog = ({
+  open,
+  profiles,
+  activeProfileId,
+  onOpenChange,
+  onSwitch,
+  onCreate,
+  onRename,
+  onDelete,
+  onExport
+}) => {
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+
+  useEffect(() => {
+    if (!open) {
+      setNewName('');
+      setEditingId(null);
+    }
+  }, [open]);
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    onCreate(newName);
+    setNewName('');
+  };
+
+  const startEditing = (profile) => {
+    setEditingId(profile.id);
+    setEditName(profile.name);
+  };
+
+  const handleRename = (event) => {
+    event.preventDefault();
+    if (editName.trim()) {
+      onRename(editingId, editName);
+    }
+    setEditingId(null);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-gray-900 text-white border-gray-700">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Users size={18} />
+            Profiles
+          </DialogTitle>
+          <DialogDescription className="text-gray-400">
+            Each profile has its own tracks, settings, volume and play history.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2 max-h-80 overflow-y-auto">
+          {profiles.map(profile => {
+            const isActive = profile.id === activeProfileId;
+            return (
+              <div key={profile.id} className="flex items-center gap-2 p-3 bg-gray-800 rounded-lg text-sm">
+                {editingId === profile.id ? (
+                  <form onSubmit={handleRename} className="flex flex-1 items-center gap-2">
+                    <input
+                      value={editName}
+                      onChange={(e) => setEditName(e.target.value)}
+                      autoFocus
+                      className={inputClassName}
+                    />
+                    <button type="submit" className="p-2 hover:bg-gray-700 rounded-full transition-colors" title="Save name">
+                      <Check size={16} />
+                    </button>
+                  </form>
+                ) : (
+                  <>
+                    <span className="flex-1 truncate font-medium">{profile.name}</span>
+                    {isActive ? (
+                      <span className="text-xs text-blue-400">In use</span>
+                    ) : (
+                      <button
+                        onClick={() => onSwitch(profile.id)}
+                        className="px-3 py-1 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors"
+                      >
+                        Switch
+                      </button>
+                    )}
+                    <button
+                      onClick={() => startEditing(profile)}
+                      className="p-2 hover:bg-gray-700 rounded-full transition-colors"
+                      title="Rename profile"
+                    >
+                      <Pencil size={16} />
+                    </button>
+                    {isActive && (
+                      <button
+                        onClick={onExport}
+                        className="p-2 hover:bg-gray-700 rounded-full transition-colors"
+                        title="Export this profile's library"
+                      >
+                        <Download size={16} />
+                      </button>
+                    )}
+                    {!isActive && profile.id !== DEFAULT_PROFILE_ID && (
+                      <button
+                        onClick={() => onDelete(profile.id)}
+                        className="p-2 hover:bg-red-600 rounded-full transition-colors"
+                        title="Delete profile and its tracks"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    )}
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <form onSubmit={handleCreate} className="flex items-center gap-2">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New profile name"
+            className={inputClassName}
+          />
+          <button
+            type="submit"
+            className="flex items-center gap-2 px-4 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-700 transition-colors"
+          >
+            <UserPlus size={16} />
+            Add
+          </button>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ProfilesDialog;
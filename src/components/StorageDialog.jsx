@@ -0,0 +1,200 @@
+import { useEffect, useMemo, useState } from 'react';
+import { HardDrive, ShieldCheck } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import storageService from '../services/storageService';
+import { formatFileSize } from '../utils/helpers';
+
+const QUICK_SELECT_COUNT = 5;
+
+const SORTS = {
+  size: {
+    label: 'Largest',
+    compare: (a, b) => (b.size || 0) - (a.size || 0)
+  },
+  plays: {
+    label: 'Least played',
+    compare: (a, b) => (a.playCount || 0) - (b.playCount || 0)
+      || Date.parse(a.lastPlayedAt || 0) - Date.parse(b.lastPlayedAt || 0)
+  }
+};
+
+const StorageDialog = ({ open, tracks, trash, onOpenChange, onDeleteTracks, onEmptyTrash }) => {
+  const [estimate, setEstimate] = useState(null);
+  const [sortBy, setSortBy] = useState('size');
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+
+  useEffect(() => {
+    if (!open) return;
+
+    let cancelled = false;
+    storageService.getStorageEstimate().then(result => {
+      if (!cancelled) setEstimate(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, tracks, trash]);
+
+  useEffect(() => {
+    if (!open) setSelectedIds(new Set());
+  }, [open]);
+
+  const sortedTracks = useMemo(
+    () => [...tracks].sort(SORTS[sortBy].compare),
+    [tracks, sortBy]
+  );
+
+  const trashBytes = trash.reduce((total, track) => total + (track.size || 0), 0);
+  const selectedBytes = tracks
+    .filter(track => selectedIds.has(track.id))
+    .reduce((total, track) => total + (track.size || 0), 0);
+  const usedPercent = estimate?.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : 0;
+
+  const toggleTrack = (trackId) => {
+    setSelectedIds(current => {
+      const next = new Set(current);
+      if (next.has(trackId)) {
+        next.delete(trackId);
+      } else {
+        next.add(trackId);
+      }
+      return next;
+    });
+  };
+
+  const quickSelect = (sortKey) => {
+    setSortBy(sortKey);
+    const candidates = [...tracks].sort(SORTS[sortKey].compare).slice(0, QUICK_SELECT_COUNT);
+    setSelectedIds(new Set(candidates.map(track => track.id)));
+  };
+
+  const handlePersist = async () => {
+    await storageService.requestPersistentStorage();
+    setEstimate(await storageService.getStorageEstimate());
+  };
+
+  const handleDelete = () => {
+    onDeleteTracks(Array.from(selectedIds));
+    setSelectedIds(new Set());
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-gray-900 text-white border-gray-700 max-w-xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <HardDrive size={18} />
+            Storage
+          </DialogTitle>
+          <DialogDescription className="text-gray-400">
+            {estimate?.quota
+              ? `${formatFileSize(estimate.usage)} of ${formatFileSize(estimate.quota)} used`
+              : `${formatFileSize(estimate?.usage || 0)} used (quota unknown)`}
+          </DialogDescription>
+        </DialogHeader>
+
+        {estimate?.quota && (
+          <div className="w-full bg-gray-700 rounded-full h-2">
+            <div
+              className={`h-2 rounded-full ${usedPercent > 90 ? 'bg-red-500' : 'bg-blue-500'}`}
+              style={{ width: `${usedPercent}%` }}
+            />
+          </div>
+        )}
+
+        {estimate && (
+          <p className="text-sm text-gray-400">
+            Audio is kept in {estimate.audioBackend === 'opfs' ? 'the origin private file system' : 'IndexedDB'}
+          </p>
+        )}
+
+        <div className="flex items-center justify-between text-sm text-gray-300">
+          {estimate?.persisted ? (
+            <span className="flex items-center gap-1 text-green-400">
+              <ShieldCheck size={14} />
+              Persistent storage: the browser won&apos;t evict your library
+            </span>
+          ) : (
+            <>
+              <span>The browser may clear this library when space runs low.</span>
+              {estimate?.supported && (
+                <button
+                  onClick={handlePersist}
+                  className="px-3 py-1 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors"
+                >
+                  Keep persistent
+                </button>
+              )}
+            </>
+          )}
+        </div>
+
+        {trash.length > 0 && (
+          <div className="flex items-center justify-between text-sm text-gray-300">
+            <span>Trash holds {formatFileSize(trashBytes)} in {trash.length} track{trash.length !== 1 ? 's' : ''}</span>
+            <button
+              onClick={onEmptyTrash}
+              className="px-3 py-1 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors"
+            >
+              Empty trash
+            </button>
+          </div>
+        )}
+
+        <div className="flex items-center gap-2 text-sm">
+          {Object.entries(SORTS).map(([key, sort]) => (
+            <button
+              key={key}
+              onClick={() => quickSelect(key)}
+              className={`px-3 py-1 rounded-lg transition-colors ${
+                sortBy === key ? 'bg-blue-600' : 'bg-gray-700 hover:bg-gray-600'
+              }`}
+              title={`Select the ${QUICK_SELECT_COUNT} ${sort.label.toLowerCase()} tracks`}
+            >
+              {sort.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="space-y-1 max-h-64 overflow-y-auto">
+          {sortedTracks.map(track => (
+            <label
+              key={track.id}
+              className="flex items-center gap-3 p-2 rounded-lg bg-gray-800 hover:bg-gray-700 cursor-pointer text-sm"
+            >
+              <input
+                type="checkbox"
+                checked={selectedIds.has(track.id)}
+                onChange={() => toggleTrack(track.id)}
+              />
+              <span className="flex-1 truncate">{track.name}</span>
+              <span className="text-gray-400">{track.playCount || 0} plays</span>
+              <span className="text-gray-400 w-20 text-right">{formatFileSize(track.size || 0)}</span>
+            </label>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between text-sm">
+          <span className="text-gray-400">
+            {selectedIds.size > 0 ? `Frees ${formatFileSize(selectedBytes)}` : 'Select tracks to free space'}
+          </span>
+          <button
+            onClick={handleDelete}
+            disabled={selectedIds.size === 0}
+            className="px-4 py-2 rounded-lg bg-red-600 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            Delete permanently
+          </button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default StorageDialog;
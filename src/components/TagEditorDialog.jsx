@@ -0,0 +1,260 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { Download, ImageOff, ImagePlus, Music, Pencil } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage
+} from './ui/form';
+import AlbumArt from './AlbumArt';
+import storageService from '../services/storageService';
+import { downloadBlob } from '../utils/helpers';
+
+const text = z.string().trim().max(1024, 'Keep this under 1024 characters');
+
+const tagSchema = z.object({
+  title: text,
+  artist: text,
+  album: text,
+  genre: text,
+  year: z.string().trim().regex(/^(\d{4})?$/, 'Use a four-digit year')
+});
+
+const FIELDS = [
+  { name: 'title', label: 'Title' },
+  { name: 'artist', label: 'Artist' },
+  { name: 'album', label: 'Album' },
+  { name: 'genre', label: 'Genre' },
+  { name: 'year', label: 'Year', inputMode: 'numeric' }
+];
+
+const MIXED = Symbol('mixed');
+
+const valueOf = (track, field) => {
+  const value = field === 'title' ? track.title || track.name : track[field];
+  return value === undefined || value === null ? '' : String(value);
+};
+
+// One value per field when every track agrees, MIXED when they don't
+const sharedValues = (tracks) => Object.fromEntries(FIELDS.map(({ name }) => {
+  const values = new Set(tracks.map(track => valueOf(track, name)));
+  return [name, values.size === 1 ? [...values][0] : MIXED];
+}));
+
+const TagEditorDialog = ({ open, tracks, onOpenChange, onSaved }) => {
+  const isBulk = tracks.length > 1;
+  const shared = useMemo(() => sharedValues(tracks), [tracks]);
+  const sharedRef = useRef(shared);
+  sharedRef.current = shared;
+  const trackIdsKey = tracks.map(track => track.id).join('\n');
+  // undefined keeps the current art, null removes it, a Blob replaces it
+  const [artwork, setArtwork] = useState(undefined);
+  const [artworkPreview, setArtworkPreview] = useState(null);
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const form = useForm({
+    resolver: zodResolver(tagSchema),
+    defaultValues: { title: '', artist: '', album: '', genre: '', year: '' }
+  });
+  // Read during render so react-hook-form keeps tracking it
+  const { dirtyFields } = form.formState;
+
+  // Play counts and other tabs update the tracks while the dialog is open; only
+  // opening it or switching tracks resets what's been typed
+  useEffect(() => {
+    if (!open) return;
+    form.reset(Object.fromEntries(
+      Object.entries(sharedRef.current).map(([field, value]) => [field, value === MIXED ? '' : value])
+    ));
+    setArtwork(undefined);
+    setError('');
+  }, [open, trackIdsKey, form]);
+
+  useEffect(() => {
+    if (!(artwork instanceof Blob)) {
+      setArtworkPreview(null);
+      return undefined;
+    }
+    const url = URL.createObjectURL(artwork);
+    setArtworkPreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [artwork]);
+
+  const artworkIds = new Set(tracks.map(track => track.artworkId));
+  const currentArtworkId = artworkIds.size === 1 ? tracks[0]?.artworkId : undefined;
+
+  // Only fields the user touched are written, so bulk edits leave the rest alone
+  const save = async (values, { download = false } = {}) => {
+    const changes = Object.fromEntries(
+      Object.keys(dirtyFields).map(field => [
+        field,
+        field === 'year' && values.year ? Number(values.year) : values[field]
+      ])
+    );
+
+    setIsSaving(true);
+    setError('');
+    try {
+      const ids = tracks.map(track => track.id);
+      if (Object.keys(changes).length > 0 || artwork !== undefined) {
+        const updated = await storageService.updateTrackTags(ids, changes, { artwork });
+        if (updated === 0) {
+          setError('Could not save the tags');
+          return;
+        }
+        onSaved(updated);
+      }
+
+      if (download) {
+        const track = storageService.getTracks().find(item => item.id === ids[0]);
+        downloadBlob(await storageService.createTaggedCopy(track), track.fileName || `${track.name}.mp3`);
+      }
+      onOpenChange(false);
+    } catch (saveError) {
+      console.error('Failed to write tags:', saveError);
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleImageChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) setArtwork(file);
+    e.target.value = '';
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-gray-900 text-white border-gray-700 max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Pencil size={18} />
+            {isBulk ? `Edit tags for ${tracks.length} tracks` : 'Edit tags'}
+          </DialogTitle>
+          <DialogDescription className="text-gray-400">
+            {isBulk
+              ? 'Only the fields you change are applied to every selected track.'
+              : tracks[0]?.fileName || tracks[0]?.name}
+          </DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(values => save(values))} className="space-y-4">
+            <div className="flex items-center gap-4">
+              <div className="w-20 h-20 rounded-lg bg-gray-800 overflow-hidden flex items-center justify-center shrink-0">
+                {artworkPreview ? (
+                  <img src={artworkPreview} alt="" className="w-full h-full object-cover" />
+                ) : artwork === null || !currentArtworkId ? (
+                  <Music size={28} className="text-gray-500" />
+                ) : (
+                  <AlbumArt
+                    artworkId={currentArtworkId}
+                    className="w-full h-full"
+                    fallback={<Music size={28} className="text-gray-500" />}
+                  />
+                )}
+              </div>
+              <div className="flex flex-wrap gap-2 text-sm">
+                <label className="flex items-center gap-2 px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors cursor-pointer">
+                  <ImagePlus size={16} />
+                  Choose image
+                  <input type="file" accept="image/*" className="hidden" onChange={handleImageChange} />
+                </label>
+                <button
+                  type="button"
+                  onClick={() => setArtwork(null)}
+                  disabled={artwork === null || (artwork === undefined && artworkIds.size === 1 && !currentArtworkId)}
+                  className="flex items-center gap-2 px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  <ImageOff size={16} />
+                  Remove
+                </button>
+                {artwork !== undefined && (
+                  <button
+                    type="button"
+                    onClick={() => setArtwork(undefined)}
+                    className="px-3 py-2 rounded-lg text-gray-400 hover:text-white transition-colors"
+                  >
+                    Keep current
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {FIELDS.map(({ name, label, inputMode }) => (
+              <FormField
+                key={name}
+                control={form.control}
+                name={name}
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="text-gray-300">{label}</FormLabel>
+                    <FormControl>
+                      <input
+                        {...field}
+                        type="text"
+                        inputMode={inputMode}
+                        disabled={isBulk && name === 'title'}
+                        placeholder={shared[name] === MIXED ? 'Multiple values' : ''}
+                        className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 disabled:opacity-50"
+                      />
+                    </FormControl>
+                    <FormMessage className="text-red-300" />
+                  </FormItem>
+                )}
+              />
+            ))}
+
+            {error && <p className="text-sm text-red-300">{error}</p>}
+
+            <DialogFooter className="gap-2">
+              {!isBulk && (
+                <button
+                  type="button"
+                  onClick={form.handleSubmit(values => save(values, { download: true }))}
+                  disabled={isSaving}
+                  className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors sm:mr-auto"
+                  title="Save, then download a copy of the file with these tags written into it"
+                >
+                  <Download size={16} />
+                  Download tagged copy
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => onOpenChange(false)}
+                className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Save
+              </button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TagEditorDialog;
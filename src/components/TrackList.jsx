@@ -1,5 +1,10 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { AlertTriangle, CheckSquare, Download, Folder, FolderOpen, HardDrive, List, Lock, LockOpen, Pencil, Stethoscope, Tags, Trash2, Upload } from 'lucide-react';
+import AlbumArt from './AlbumArt';
+import { formatStreamInfo, isCueFile, isLyricsFile, isValidAudioFile } from '../utils/helpers';
+import { getFolderPath, isDirectoryPickerSupported, pickDirectoryFiles } from '../utils/fileSystem';
+import { getSourceId } from '../utils/cueSheet';
 
 const TrackList = ({ 
   tracks, 
@@ -7,15 +12,92 @@ const TrackList = ({
   onTrackSelect, 
   onTrackDelete, 
   onFileUpload,
+  onExportLibrary,
+  onImportLibrary,
+  trashCount,
+  onOpenTrash,
+  onOpenStorage,
+  missingCount,
+  onOpenMissing,
+  onOpenHealth,
+  onOpenPatterns,
+  onEditTags,
+  isEncrypted,
+  onOpenEncryption,
   isPlaying 
 }) => {
+  const [viewMode, setViewMode] = useState('list');
+  // In selection mode a click picks tracks for a bulk tag edit instead of playing them
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const selectedTracks = tracks.filter(track => selectedIds.includes(track.id));
+
+  const toggleSelecting = () => {
+    setIsSelecting(!isSelecting);
+    setSelectedIds([]);
+  };
+
+  const toggleSelected = (trackId) => {
+    setSelectedIds(selectedIds.includes(trackId)
+      ? selectedIds.filter(id => id !== trackId)
+      : [...selectedIds, trackId]);
+  };
+
+  // Groups tracks by the folder they were imported from, loose files first
+  const folderGroups = useMemo(() => {
+    const groups = new Map();
+    tracks.forEach(track => {
+      const folder = getFolderPath(track.relativePath);
+      if (!groups.has(folder)) groups.set(folder, []);
+      groups.get(folder).push(track);
+    });
+
+    return Array.from(groups, ([folder, folderTracks]) => ({
+      folder,
+      // Cue tracks from one file share its path and keep their sheet order
+      tracks: [...folderTracks].sort((a, b) => (
+        (a.relativePath || a.name).localeCompare(b.relativePath || b.name) || (a.start || 0) - (b.start || 0)
+      ))
+    })).sort((a, b) => a.folder.localeCompare(b.folder));
+  }, [tracks]);
+
   const handleFileInput = (event) => {
-    const files = Array.from(event.target.files);
-    files.forEach(file => {
-      if (file.type.startsWith('audio/')) {
-        onFileUpload(file);
+    // webkitdirectory inputs fill in webkitRelativePath on each file
+    const files = Array.from(event.target.files).filter(file => isValidAudioFile(file) || isLyricsFile(file) || isCueFile(file));
+    if (files.length > 0) {
+      onFileUpload(files);
+    }
+    event.target.value = '';
+  };
+
+  // React doesn't know the non-standard directory attributes
+  const setFolderInput = (input) => {
+    if (input) {
+      input.setAttribute('webkitdirectory', '');
+      input.setAttribute('directory', '');
+    }
+  };
+
+  const handleFolderImport = async (event) => {
+    if (!isDirectoryPickerSupported()) return;
+
+    // The picker walks subfolders itself, so skip the fallback input
+    event.preventDefault();
+    try {
+      const entries = await pickDirectoryFiles();
+      if (entries) {
+        onFileUpload(entries);
       }
-    });
+    } catch (error) {
+      console.error('Failed to import folder:', error);
+    }
+  };
+
+  const handleLibraryInput = (event) => {
+    const [archive] = event.target.files;
+    if (archive) {
+      onImportLibrary(archive);
+    }
     event.target.value = '';
   };
 
@@ -33,15 +115,107 @@ const TrackList = ({
     return `${(bytes / Math.pow(1024, i)).toFixed(1)} ${sizes[i]}`;
   };
 
+  const renderTrack = (track, index) => (
+    <motion.div
+      key={track.id}
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, x: -300 }}
+      transition={{ duration: 0.2, delay: index * 0.05 }}
+      className={`group relative p-4 rounded-lg cursor-pointer transition-all duration-200 ${
+        currentTrack?.id === track.id
+          ? 'bg-blue-600 text-white shadow-lg'
+          : 'bg-gray-800 hover:bg-gray-700 text-gray-300'
+      } ${isSelecting && selectedIds.includes(track.id) ? 'ring-2 ring-blue-400' : ''}`}
+      onClick={() => (isSelecting ? toggleSelected(track.id) : onTrackSelect(track))}
+    >
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3 flex-1 min-w-0">
+          <div className="relative">
+            {currentTrack?.id === track.id && isPlaying ? (
+              <div className="flex items-center gap-1">
+                <div className="w-1 bg-white rounded-full animate-pulse" style={{ height: '12px', animationDelay: '0ms' }}></div>
+                <div className="w-1 bg-white rounded-full animate-pulse" style={{ height: '16px', animationDelay: '150ms' }}></div>
+                <div className="w-1 bg-white rounded-full animate-pulse" style={{ height: '10px', animationDelay: '300ms' }}></div>
+              </div>
+            ) : (
+              <AlbumArt
+                artworkId={track.artworkId}
+                className="w-10 h-10 rounded"
+                fallback={(
+                  <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
+                    <path d="M8 5v14l11-7z"/>
+                  </svg>
+                )}
+              />
+            )}
+          </div>
+          
+          <div className="flex-1 min-w-0">
+            <p className="font-medium truncate">{track.name}</p>
+            {track.artist && (
+              <p className="text-sm truncate opacity-75">
+                {[track.artist, track.album].filter(Boolean).join(' — ')}
+              </p>
+            )}
+            <div className="flex items-center gap-4 text-sm opacity-75">
+              <span>{formatDuration(track.duration)}</span>
+              {track.sourceId ? (
+                <span title={track.fileName}>Cue {track.trackNumber}/{track.trackTotal}</span>
+              ) : (
+                <span>{formatFileSize(track.size)}</span>
+              )}
+              {formatStreamInfo(track) && (
+                <span className="truncate">{formatStreamInfo(track)}</span>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onEditTags([getSourceId(track)]);
+          }}
+          className="opacity-0 group-hover:opacity-100 p-2 hover:bg-gray-600 rounded-full transition-all duration-200"
+          title={track.sourceId ? 'Edit tags for the whole file' : 'Edit tags'}
+        >
+          <Pencil size={16} />
+        </button>
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onTrackDelete(getSourceId(track));
+          }}
+          className="opacity-0 group-hover:opacity-100 p-2 hover:bg-red-600 rounded-full transition-all duration-200"
+          title={track.sourceId ? 'Move the whole file to trash' : 'Move to trash'}
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+          </svg>
+        </button>
+      </div>
+
+      {currentTrack?.id === track.id && (
+        <motion.div
+          initial={{ scaleX: 0 }}
+          animate={{ scaleX: 1 }}
+          className="absolute bottom-0 left-0 h-0.5 bg-white origin-left"
+          style={{ width: '100%' }}
+        />
+      )}
+    </motion.div>
+  );
+
   return (
     <div className="bg-gray-900 rounded-lg p-6 shadow-xl">
       <div className="flex items-center justify-between mb-6">
-        <h2 className="text-xl font-bold text-white">Playlist</h2>
+        <h2 className="text-xl font-bold text-white mr-auto">Playlist</h2>
         <div className="relative">
           <input
             type="file"
             multiple
-            accept="audio/*"
+            accept="audio/*,.lrc,.cue"
             onChange={handleFileInput}
             className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
             id="audio-upload"
@@ -56,8 +230,141 @@ const TrackList = ({
             Add Tracks
           </label>
         </div>
+        <label
+          onClick={handleFolderImport}
+          className="ml-2 bg-gray-700 hover:bg-gray-600 text-white px-3 py-2 rounded-lg cursor-pointer transition-colors duration-200 flex items-center gap-2"
+          title="Import a folder, including its subfolders"
+        >
+          <input
+            ref={setFolderInput}
+            type="file"
+            multiple
+            onChange={handleFileInput}
+            className="hidden"
+          />
+          <FolderOpen size={16} />
+          Folder
+        </label>
+      </div>
+
+      <div className="flex items-center gap-4 mb-4 text-sm">
+        <button
+          onClick={onExportLibrary}
+          disabled={tracks.length === 0}
+          className="flex items-center gap-1 text-gray-400 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          title="Download every track and setting as one archive"
+        >
+          <Download size={14} />
+          Export library
+        </button>
+        <label
+          className="flex items-center gap-1 text-gray-400 hover:text-white cursor-pointer transition-colors"
+          title="Restore a library from an exported archive or JSON file"
+        >
+          <input
+            type="file"
+            accept=".tar,.json,application/x-tar,application/json"
+            onChange={handleLibraryInput}
+            className="hidden"
+          />
+          <Upload size={14} />
+          Import library
+        </label>
+        <button
+          onClick={() => setViewMode(viewMode === 'list' ? 'folders' : 'list')}
+          className="flex items-center gap-1 text-gray-400 hover:text-white transition-colors"
+          title={viewMode === 'list' ? 'Browse by folder' : 'Show as a flat list'}
+        >
+          {viewMode === 'list' ? <Folder size={14} /> : <List size={14} />}
+          {viewMode === 'list' ? 'Folders' : 'List'}
+        </button>
+        <button
+          onClick={toggleSelecting}
+          disabled={tracks.length === 0}
+          className={`flex items-center gap-1 ml-auto hover:text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${
+            isSelecting ? 'text-blue-400' : 'text-gray-400'
+          }`}
+          title={isSelecting ? 'Stop selecting tracks' : 'Select tracks to edit their tags together'}
+        >
+          <CheckSquare size={14} />
+          {isSelecting ? 'Done' : 'Select'}
+        </button>
+        <button
+          onClick={onOpenPatterns}
+          className="flex items-center gap-1 text-gray-400 hover:text-white transition-colors"
+          title="Fill in tags from file and folder names"
+        >
+          <Tags size={14} />
+          Name patterns
+        </button>
+        <button
+          onClick={onOpenHealth}
+          className="flex items-center gap-1 text-gray-400 hover:text-white transition-colors"
+          title="Scan for broken track records and repair them"
+        >
+          <Stethoscope size={14} />
+          Check library
+        </button>
+        <button
+          onClick={onOpenStorage}
+          className="flex items-center gap-1 text-gray-400 hover:text-white transition-colors"
+          title="See storage use and free up space"
+        >
+          <HardDrive size={14} />
+          Storage
+        </button>
+        <button
+          onClick={onOpenEncryption}
+          className="flex items-center gap-1 text-gray-400 hover:text-white transition-colors"
+          title={isEncrypted ? 'Lock the library or turn off encryption' : 'Encrypt the library with a passphrase'}
+        >
+          {isEncrypted ? <Lock size={14} /> : <LockOpen size={14} />}
+          {isEncrypted ? 'Lock' : 'Encrypt'}
+        </button>
+        <button
+          onClick={onOpenTrash}
+          className="flex items-center gap-1 text-gray-400 hover:text-white transition-colors"
+          title="Restore or permanently delete removed tracks"
+        >
+          <Trash2 size={14} />
+          Trash{trashCount > 0 ? ` (${trashCount})` : ''}
+        </button>
       </div>
 
+      {missingCount > 0 && (
+        <button
+          onClick={onOpenMissing}
+          className="w-full flex items-center gap-2 mb-4 px-3 py-2 rounded-lg bg-amber-900/40 border border-amber-700 text-amber-200 text-sm hover:bg-amber-900/60 transition-colors"
+        >
+          <AlertTriangle size={14} />
+          {missingCount} track{missingCount !== 1 ? 's are' : ' is'} missing audio. Relink…
+        </button>
+      )}
+
+      {isSelecting && (
+        <div className="flex items-center gap-3 mb-4 px-3 py-2 rounded-lg bg-gray-800 text-sm text-gray-300">
+          <span className="mr-auto">
+            {selectedTracks.length > 0
+              ? `${selectedTracks.length} selected`
+              : 'Click tracks to select them'}
+          </span>
+          <button
+            onClick={() => onEditTags([...new Set(selectedTracks.map(getSourceId))])}
+            disabled={selectedTracks.length === 0}
+            className="flex items-center gap-1 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <Pencil size={14} />
+            Edit tags
+          </button>
+          <button
+            onClick={() => setSelectedIds(selectedTracks.length === tracks.length ? [] : tracks.map(track => track.id))}
+            className="hover:text-white transition-colors"
+          >
+            {selectedTracks.length === tracks.length ? 'Clear' : 'Select all'}
+          </button>
+        </div>
+      )}
+
       {tracks.length === 0 ? (
         <div className="text-center py-12 text-gray-400">
           <svg className="w-16 h-16 mx-auto mb-4 opacity-50" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -69,69 +376,18 @@ const TrackList = ({
       ) : (
         <div className="space-y-2 max-h-96 overflow-y-auto">
           <AnimatePresence>
-            {tracks.map((track, index) => (
-              <motion.div
-                key={track.id}
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                exit={{ opacity: 0, x: -300 }}
-                transition={{ duration: 0.2, delay: index * 0.05 }}
-                className={`group relative p-4 rounded-lg cursor-pointer transition-all duration-200 ${
-                  currentTrack?.id === track.id
-                    ? 'bg-blue-600 text-white shadow-lg'
-                    : 'bg-gray-800 hover:bg-gray-700 text-gray-300'
-                }`}
-                onClick={() => onTrackSelect(track)}
-              >
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center gap-3 flex-1 min-w-0">
-                    <div className="relative">
-                      {currentTrack?.id === track.id && isPlaying ? (
-                        <div className="flex items-center gap-1">
-                          <div className="w-1 bg-white rounded-full animate-pulse" style={{ height: '12px', animationDelay: '0ms' }}></div>
-                          <div className="w-1 bg-white rounded-full animate-pulse" style={{ height: '16px', animationDelay: '150ms' }}></div>
-                          <div className="w-1 bg-white rounded-full animate-pulse" style={{ height: '10px', animationDelay: '300ms' }}></div>
-                        </div>
-                      ) : (
-                        <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
-                          <path d="M8 5v14l11-7z"/>
-                        </svg>
-                      )}
-                    </div>
-                    
-                    <div className="flex-1 min-w-0">
-                      <p className="font-medium truncate">{track.name}</p>
-                      <div className="flex items-center gap-4 text-sm opacity-75">
-                        <span>{formatDuration(track.duration)}</span>
-                        <span>{formatFileSize(track.size)}</span>
-                      </div>
-                    </div>
-                  </div>
-
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      onTrackDelete(track.id);
-                    }}
-                    className="opacity-0 group-hover:opacity-100 p-2 hover:bg-red-600 rounded-full transition-all duration-200"
-                    title="Delete track"
-                  >
-                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                    </svg>
-                  </button>
-                </div>
-
-                {currentTrack?.id === track.id && (
-                  <motion.div
-                    initial={{ scaleX: 0 }}
-                    animate={{ scaleX: 1 }}
-                    className="absolute bottom-0 left-0 h-0.5 bg-white origin-left"
-                    style={{ width: '100%' }}
-                  />
-                )}
-              </motion.div>
-            ))}
+            {viewMode === 'folders'
+              ? folderGroups.flatMap(group => [
+                <div
+                  key={`folder-${group.folder}`}
+                  className="flex items-center gap-2 pt-2 text-xs uppercase tracking-wide text-gray-500"
+                >
+                  <Folder size={12} />
+                  <span className="truncate">{group.folder || 'Loose files'}</span>
+                </div>,
+                ...group.tracks.map(renderTrack)
+              ])
+              : tracks.map(renderTrack)}
           </AnimatePresence>
         </div>
       )}
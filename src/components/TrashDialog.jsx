@@ -0,0 +1,102 @@
+import { RotateCcw, Trash2 } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+
+const RETENTION_OPTIONS = [
+  { value: 1, label: '1 day' },
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 0, label: 'Never' }
+];
+
+const formatDeletedAt = (deletedAt) => {
+  const date = new Date(deletedAt);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+const TrashDialog = ({
+  open,
+  trash,
+  retentionDays,
+  onOpenChange,
+  onRestore,
+  onDelete,
+  onEmpty,
+  onRetentionChange
+}) => {
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-gray-900 text-white border-gray-700">
+        <DialogHeader>
+          <DialogTitle>Trash</DialogTitle>
+          <DialogDescription className="text-gray-400">
+            Deleted tracks can be restored until they are purged.
+          </DialogDescription>
+        </DialogHeader>
+
+        <label className="flex items-center justify-between text-sm text-gray-300">
+          Purge deleted tracks after
+          <select
+            value={retentionDays}
+            onChange={(e) => onRetentionChange(parseInt(e.target.value, 10))}
+            className="bg-gray-800 border border-gray-700 rounded-lg px-2 py-1 text-white"
+          >
+            {RETENTION_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+
+        {trash.length === 0 ? (
+          <p className="text-center py-8 text-gray-400">Trash is empty</p>
+        ) : (
+          <div className="space-y-2 max-h-80 overflow-y-auto">
+            {trash.map(track => (
+              <div key={track.id} className="flex items-center justify-between gap-3 p-3 bg-gray-800 rounded-lg">
+                <div className="min-w-0">
+                  <p className="font-medium truncate">{track.name}</p>
+                  <p className="text-xs text-gray-400">Deleted {formatDeletedAt(track.deletedAt)}</p>
+                </div>
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={() => onRestore(track.id)}
+                    className="p-2 hover:bg-gray-700 rounded-full transition-colors"
+                    title="Restore track"
+                  >
+                    <RotateCcw size={16} />
+                  </button>
+                  <button
+                    onClick={() => onDelete(track.id)}
+                    className="p-2 hover:bg-red-600 rounded-full transition-colors"
+                    title="Delete forever"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {trash.length > 0 && (
+          <div className="flex justify-end">
+            <button
+              onClick={onEmpty}
+              className="px-4 py-2 rounded-lg bg-red-600 hover:bg-red-700 text-sm transition-colors"
+            >
+              Empty trash
+            </button>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TrashDialog;
@@ -0,0 +1,28 @@
+import { useEffect, useState } from 'react';
+import storageService from '../services/storageService';
+
+/**
+ * Object URL for a stored album art thumbnail
+ * @param {string} [artworkId] - The track's artworkId
+ * @returns {string|null} URL to use as an image source, or null while loading or without art
+ */
+const useArtworkURL = (artworkId) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setUrl(null);
+
+    storageService.getArtworkURL(artworkId).then((artworkURL) => {
+      if (!cancelled) setUrl(artworkURL);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [artworkId]);
+
+  return url;
+};
+
+export default useArtworkURL;
@@ -0,0 +1,26 @@
+import { useEffect, useState } from 'react';
+import storageService, { STORAGE_KEYS } from '../services/storageService';
+
+/**
+ * Stored lyrics for a track, kept current when they're imported or edited
+ * @param {string} [trackId] - Track to read lyrics for
+ * @returns {string|null} LRC or plain-text lyrics, or null when the track has none
+ */
+const useTrackLyrics = (trackId) => {
+  const [lyrics, setLyrics] = useState(() => (trackId ? storageService.getLyrics(trackId) : null));
+
+  useEffect(() => {
+    setLyrics(trackId ? storageService.getLyrics(trackId) : null);
+    if (!trackId) return undefined;
+
+    return storageService.subscribe(({ key }) => {
+      if (key === STORAGE_KEYS.LYRICS) {
+        setLyrics(storageService.getLyrics(trackId));
+      }
+    });
+  }, [trackId]);
+
+  return lyrics;
+};
+
+export default useTrackLyrics;
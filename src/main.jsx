@@ -1,10 +1,28 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import LockScreen from './components/LockScreen'
+import storageService from './services/storageService'
+import syncService from './services/syncService'
 import './styles/main.css'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-)
\ No newline at end of file
+const root = ReactDOM.createRoot(document.getElementById('root'))
+
+const renderApp = () => {
+  root.render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>,
+  )
+}
+
+storageService.init().then(() => {
+  syncService.start()
+
+  // Encrypted libraries can't be read until the passphrase is entered
+  if (storageService.isLocked()) {
+    root.render(<LockScreen onUnlock={renderApp} />)
+  } else {
+    renderApp()
+  }
+})
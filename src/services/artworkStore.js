@@ -0,0 +1,173 @@
+// Album art thumbnails. Cover images are resized in a worker and stored once
+// per album in IndexedDB. Art picked in the tag editor is also kept full size
+// for tagged copies. Keys share audioStore's profile namespace and the
+// images its cipher, so an encrypted library keeps its artwork private too.
+// Keys themselves are stored plain: encrypted libraries use random ids.
+
+import blobStore from './blobStore';
+import audioStore, { decodeBlob, encodeBlob } from './audioStore';
+
+export const THUMBNAIL_SIZE = 256;
+const THUMBNAIL_TYPE = 'image/jpeg';
+const THUMBNAIL_QUALITY = 0.85;
+
+// Encrypted images come back without a type; thumbnails are always JPEG but
+// full-size art can be anything the browser opens
+const sniffImageType = async (blob) => {
+  const header = new Uint8Array(await blob.slice(0, 12).arrayBuffer());
+  const ascii = (start, end) => String.fromCharCode(...header.subarray(start, end));
+  if (header[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+  if (ascii(0, 4) === 'GIF8') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  return THUMBNAIL_TYPE;
+};
+
+class ArtworkStore {
+  constructor() {
+    this.worker = null;
+    this.pendingThumbnails = new Map();
+    this.nextRequestId = 0;
+    this.objectURLs = new Map();
+  }
+
+  static isThumbnailSupported() {
+    return typeof Worker !== 'undefined'
+      && typeof OffscreenCanvas !== 'undefined'
+      && typeof createImageBitmap === 'function';
+  }
+
+  getWorker() {
+    if (this.worker) return this.worker;
+
+    this.worker = new Worker(new URL('../workers/artworkWorker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (event) => {
+      const { requestId, ok, blob, error } = event.data;
+      const pending = this.pendingThumbnails.get(requestId);
+      if (!pending) return;
+
+      this.pendingThumbnails.delete(requestId);
+      if (ok) {
+        pending.resolve(blob);
+      } else {
+        pending.reject(new Error(error));
+      }
+    };
+    this.worker.onerror = (event) => {
+      const error = new Error(event.message || 'Artwork worker failed');
+      this.pendingThumbnails.forEach(pending => pending.reject(error));
+      this.pendingThumbnails.clear();
+      this.worker.terminate();
+      this.worker = null;
+    };
+
+    return this.worker;
+  }
+
+  // Browsers without OffscreenCanvas keep the original image
+  createThumbnail(image, size = THUMBNAIL_SIZE) {
+    if (!ArtworkStore.isThumbnailSupported()) return Promise.resolve(image);
+
+    return new Promise((resolve, reject) => {
+      const requestId = ++this.nextRequestId;
+      this.pendingThumbnails.set(requestId, { resolve, reject });
+      this.getWorker().postMessage({
+        requestId,
+        type: 'thumbnail',
+        blob: image,
+        size,
+        imageType: THUMBNAIL_TYPE,
+        quality: THUMBNAIL_QUALITY
+      });
+    });
+  }
+
+  async put(id, blob) {
+    this.revokeObjectURL(id);
+    await blobStore.putArtwork(audioStore.toKey(id), await encodeBlob(blob, audioStore.cipher));
+    return true;
+  }
+
+  async get(id) {
+    const blob = await decodeBlob(await blobStore.getArtwork(audioStore.toKey(id)), audioStore.cipher);
+    if (!blob || blob.type) return blob;
+    return new Blob([blob], { type: await sniffImageType(blob) });
+  }
+
+  async has(id) {
+    return blobStore.hasArtwork(audioStore.toKey(id));
+  }
+
+  async delete(id) {
+    this.revokeObjectURL(id);
+    await blobStore.deleteArtwork(audioStore.toKey(id));
+    return true;
+  }
+
+  async keys() {
+    return audioStore.ownIds(await blobStore.artworkKeys());
+  }
+
+  // Call before audioStore.recrypt(), which replaces the cipher read here
+  async recrypt(nextCipher) {
+    for (const id of await this.keys()) {
+      const blob = await blobStore.getArtwork(audioStore.toKey(id));
+      if (!blob) continue;
+      await blobStore.putArtwork(
+        audioStore.toKey(id),
+        await encodeBlob(await decodeBlob(blob, audioStore.cipher), nextCipher)
+      );
+    }
+  }
+
+  async clear() {
+    this.revokeAll();
+    for (const id of await this.keys()) {
+      await blobStore.deleteArtwork(audioStore.toKey(id));
+    }
+    return true;
+  }
+
+  async deleteNamespace(prefix) {
+    if (!prefix) return false;
+
+    const keys = (await blobStore.artworkKeys()).map(String);
+    for (const key of keys.filter(key => key.startsWith(prefix))) {
+      await blobStore.deleteArtwork(key);
+    }
+    return true;
+  }
+
+  async getObjectURL(id) {
+    const key = String(id);
+    if (this.objectURLs.has(key)) {
+      return this.objectURLs.get(key);
+    }
+
+    const blob = await this.get(key);
+    if (!blob) return null;
+
+    const url = URL.createObjectURL(blob);
+    this.objectURLs.set(key, url);
+    return url;
+  }
+
+  revokeAll() {
+    this.objectURLs.forEach((url) => URL.revokeObjectURL(url));
+    this.objectURLs.clear();
+  }
+
+  revokeObjectURL(id) {
+    const key = String(id);
+    const url = this.objectURLs.get(key);
+    if (url) {
+      URL.revokeObjectURL(url);
+      this.objectURLs.delete(key);
+    }
+  }
+}
+
+// Create singleton instance
+const artworkStore = new ArtworkStore();
+
+export { ArtworkStore };
+export default artworkStore;
@@ -1,3 +1,5 @@
+import { readEmbeddedMetadata } from '../utils/metadata';
+
 class AudioService {
   constructor() {
     this.audioContext = null;
@@ -168,15 +170,19 @@ class AudioService {
     }
   }
 
-  // Extract metadata from audio file
+  // Extract metadata from audio file: embedded tags and stream info plus what the browser reports
   static async extractMetadata(file) {
+    const { tags, stream } = await readEmbeddedMetadata(file);
+
     return new Promise((resolve) => {
       const audio = new Audio();
       const url = this.createAudioURL(file);
       
       audio.addEventListener('loadedmetadata', () => {
         const metadata = {
-          name: file.name.replace(/\.[^/.]+$/, ''), // Remove extension
+          ...tags,
+          ...stream,
+          name: tags.title || file.name.replace(/\.[^/.]+$/, ''), // Remove extension
           duration: audio.duration,
           size: file.size,
           type: file.type,
@@ -190,8 +196,10 @@ class AudioService {
       audio.addEventListener('error', () => {
         this.revokeAudioURL(url);
         resolve({
-          name: file.name.replace(/\.[^/.]+$/, ''),
-          duration: 0,
+          ...tags,
+          ...stream,
+          name: tags.title || file.name.replace(/\.[^/.]+$/, ''),
+          duration: stream.duration || 0,
           size: file.size,
           type: file.type,
           lastModified: file.lastModified
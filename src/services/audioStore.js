@@ -0,0 +1,217 @@
+// Backend-agnostic access to stored audio. New audio goes to the origin private
+// file system where the browser supports it, otherwise to IndexedDB. Audio written
+// to IndexedDB before OPFS was available stays readable until it's replaced.
+// With a cipher set (encrypted library), audio is encrypted before it's written.
+
+import blobStore, { BlobStore } from './blobStore';
+import opfsStore, { OpfsStore } from './opfsStore';
+import { isEncryptedBytes } from '../utils/crypto';
+
+const HEADER_LENGTH = 32;
+
+// Shared with artworkStore so cover art is encrypted along with the audio
+export const encodeBlob = async (blob, cipher) => {
+  if (!cipher) return blob;
+  return new Blob([await cipher.encryptBytes(await blob.arrayBuffer())]);
+};
+
+// Plain audio (written before encryption was turned on) is returned unchanged
+export const decodeBlob = async (blob, cipher) => {
+  if (!blob) return blob;
+
+  const header = new Uint8Array(await blob.slice(0, HEADER_LENGTH).arrayBuffer());
+  if (!isEncryptedBytes(header)) return blob;
+  if (!cipher) throw new Error('Stored file is encrypted and the library is locked');
+
+  return new Blob([await cipher.decryptBytes(await blob.arrayBuffer())]);
+};
+
+export const AUDIO_BACKENDS = {
+  OPFS: 'opfs',
+  INDEXED_DB: 'indexedDB'
+};
+
+class AudioStore {
+  constructor() {
+    this.backend = blobStore;
+    this.cipher = null;
+    this.objectURLs = new Map();
+    // Profiles keep their audio under a key prefix; see setNamespace()
+    this.namespace = '';
+    this.isForeignKey = () => false;
+  }
+
+  init(preferred) {
+    const useOpfs = preferred !== AUDIO_BACKENDS.INDEXED_DB && OpfsStore.isSupported();
+    this.backend = useOpfs ? opfsStore : blobStore;
+    return this.getBackendName();
+  }
+
+  getBackendName() {
+    return this.backend === opfsStore ? AUDIO_BACKENDS.OPFS : AUDIO_BACKENDS.INDEXED_DB;
+  }
+
+  hasLegacyStore() {
+    return this.backend !== blobStore && BlobStore.isSupported();
+  }
+
+  setCipher(cipher) {
+    this.revokeAll();
+    this.cipher = cipher;
+  }
+
+  // isForeignKey lets an unprefixed namespace skip keys that belong to others
+  setNamespace(prefix, isForeignKey = () => false) {
+    this.revokeAll();
+    this.namespace = prefix;
+    this.isForeignKey = isForeignKey;
+  }
+
+  toKey(id) {
+    return `${this.namespace}${id}`;
+  }
+
+  // Stored keys in this namespace, as track ids
+  ownIds(keys) {
+    return keys
+      .map(String)
+      .filter(key => key.startsWith(this.namespace) && !this.isForeignKey(key))
+      .map(key => key.slice(this.namespace.length));
+  }
+
+  async write(key, blob) {
+    await this.backend.put(key, blob);
+    if (this.hasLegacyStore()) {
+      await blobStore.delete(key);
+    }
+  }
+
+  async read(key) {
+    const blob = await this.backend.get(key);
+    if (blob || !this.hasLegacyStore()) return blob;
+    return blobStore.get(key);
+  }
+
+  async put(id, blob) {
+    this.revokeObjectURL(id);
+    await this.write(this.toKey(id), await encodeBlob(blob, this.cipher));
+    return true;
+  }
+
+  async get(id) {
+    return decodeBlob(await this.read(this.toKey(id)), this.cipher);
+  }
+
+  // Rewrites every stored file under a new cipher (null stores it plain again)
+  async recrypt(nextCipher) {
+    for (const id of await this.keys()) {
+      const blob = await this.read(this.toKey(id));
+      if (!blob) continue;
+      await this.write(this.toKey(id), await encodeBlob(await decodeBlob(blob, this.cipher), nextCipher));
+    }
+    this.setCipher(nextCipher);
+  }
+
+  async has(id) {
+    const key = this.toKey(id);
+    if (await this.backend.has(key)) return true;
+    return this.hasLegacyStore() ? blobStore.has(key) : false;
+  }
+
+  async deleteKey(key) {
+    await this.backend.delete(key);
+    if (this.hasLegacyStore()) {
+      await blobStore.delete(key);
+    }
+    await blobStore.deleteHandle(key);
+  }
+
+  // Drops the audio from every backend along with the track's file handle
+  async delete(id) {
+    this.revokeObjectURL(id);
+    await this.deleteKey(this.toKey(id));
+    return true;
+  }
+
+  async storedKeys() {
+    const keys = await this.backend.keys();
+    if (!this.hasLegacyStore()) return keys.map(String);
+
+    const legacyKeys = await blobStore.keys();
+    return Array.from(new Set([...keys, ...legacyKeys].map(String)));
+  }
+
+  async keys() {
+    return this.ownIds(await this.storedKeys());
+  }
+
+  // Only this namespace: other profiles keep their audio
+  async clear() {
+    this.revokeAll();
+    const ids = new Set([...await this.keys(), ...await this.handleKeys()]);
+    for (const id of ids) {
+      await this.deleteKey(this.toKey(id));
+    }
+    return true;
+  }
+
+  // Removes everything stored under another namespace, e.g. a deleted profile
+  async deleteNamespace(prefix) {
+    if (!prefix) return false;
+
+    const keys = [...await this.storedKeys(), ...await blobStore.handleKeys()].map(String);
+    for (const key of new Set(keys.filter(key => key.startsWith(prefix)))) {
+      await this.deleteKey(key);
+    }
+    return true;
+  }
+
+  // File handles for tracks imported from disk
+  async putHandle(id, handle) {
+    return blobStore.putHandle(this.toKey(id), handle);
+  }
+
+  async getHandle(id) {
+    return blobStore.getHandle(this.toKey(id));
+  }
+
+  async handleKeys() {
+    return this.ownIds(await blobStore.handleKeys());
+  }
+
+  // Object URLs are cached per id so repeated plays don't leak URLs. Tracks
+  // without stored audio fall back to the original file they were imported from.
+  async getObjectURL(id) {
+    const key = String(id);
+    if (this.objectURLs.has(key)) {
+      return this.objectURLs.get(key);
+    }
+
+    const blob = await this.get(key) || await blobStore.getFileFromHandle(this.toKey(key));
+    if (!blob) return null;
+
+    const url = URL.createObjectURL(blob);
+    this.objectURLs.set(key, url);
+    return url;
+  }
+
+  revokeAll() {
+    this.objectURLs.forEach((url) => URL.revokeObjectURL(url));
+    this.objectURLs.clear();
+  }
+
+  revokeObjectURL(id) {
+    const key = String(id);
+    const url = this.objectURLs.get(key);
+    if (url) {
+      URL.revokeObjectURL(url);
+      this.objectURLs.delete(key);
+    }
+  }
+}
+
+// Create singleton instance
+const audioStore = new AudioStore();
+
+export { AudioStore };
+export default audioStore;
@@ -0,0 +1,167 @@
+// IndexedDB storage for audio file contents, kept apart from track metadata.
+// Tracks imported from disk can also keep a FileSystemFileHandle to reopen the original.
+// Album art thumbnails live here too, whichever backend holds the audio.
+
+const DB_NAME = 'audioPlayer_blobs';
+const DB_VERSION = 3;
+const AUDIO_STORE = 'audio';
+const HANDLE_STORE = 'handles';
+const ARTWORK_STORE = 'artwork';
+
+const requestToPromise = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+class BlobStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(AUDIO_STORE)) {
+          db.createObjectStore(AUDIO_STORE);
+        }
+        if (!db.objectStoreNames.contains(HANDLE_STORE)) {
+          db.createObjectStore(HANDLE_STORE);
+        }
+        if (!db.objectStoreNames.contains(ARTWORK_STORE)) {
+          db.createObjectStore(ARTWORK_STORE);
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  async transaction(mode, callback, storeName = AUDIO_STORE) {
+    const db = await this.open();
+    const tx = db.transaction(storeName, mode);
+    const completed = new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+
+    const result = await requestToPromise(callback(tx.objectStore(storeName)));
+    await completed;
+    return result;
+  }
+
+  // Blob management
+  async put(id, blob) {
+    await this.transaction('readwrite', (store) => store.put(blob, String(id)));
+    return true;
+  }
+
+  async get(id) {
+    const blob = await this.transaction('readonly', (store) => store.get(String(id)));
+    return blob || null;
+  }
+
+  async has(id) {
+    const count = await this.transaction('readonly', (store) => store.count(String(id)));
+    return count > 0;
+  }
+
+  async delete(id) {
+    await this.transaction('readwrite', (store) => store.delete(String(id)));
+    return true;
+  }
+
+  async keys() {
+    return this.transaction('readonly', (store) => store.getAllKeys());
+  }
+
+  async clear() {
+    await this.transaction('readwrite', (store) => store.clear());
+    await this.transaction('readwrite', (store) => store.clear(), HANDLE_STORE);
+    await this.transaction('readwrite', (store) => store.clear(), ARTWORK_STORE);
+    return true;
+  }
+
+  // File handles
+  async putHandle(id, handle) {
+    await this.transaction('readwrite', (store) => store.put(handle, String(id)), HANDLE_STORE);
+    return true;
+  }
+
+  async getHandle(id) {
+    const handle = await this.transaction('readonly', (store) => store.get(String(id)), HANDLE_STORE);
+    return handle || null;
+  }
+
+  async handleKeys() {
+    return this.transaction('readonly', (store) => store.getAllKeys(), HANDLE_STORE);
+  }
+
+  async deleteHandle(id) {
+    await this.transaction('readwrite', (store) => store.delete(String(id)), HANDLE_STORE);
+    return true;
+  }
+
+  // Album art
+  async putArtwork(id, blob) {
+    await this.transaction('readwrite', (store) => store.put(blob, String(id)), ARTWORK_STORE);
+    return true;
+  }
+
+  async getArtwork(id) {
+    const blob = await this.transaction('readonly', (store) => store.get(String(id)), ARTWORK_STORE);
+    return blob || null;
+  }
+
+  async hasArtwork(id) {
+    const count = await this.transaction('readonly', (store) => store.count(String(id)), ARTWORK_STORE);
+    return count > 0;
+  }
+
+  async artworkKeys() {
+    return this.transaction('readonly', (store) => store.getAllKeys(), ARTWORK_STORE);
+  }
+
+  async deleteArtwork(id) {
+    await this.transaction('readwrite', (store) => store.delete(String(id)), ARTWORK_STORE);
+    return true;
+  }
+
+  // Reads the original file, asking for read permission again if the browser dropped it
+  async getFileFromHandle(id) {
+    const handle = await this.getHandle(id);
+    if (!handle) return null;
+
+    const options = { mode: 'read' };
+    if (handle.queryPermission && await handle.queryPermission(options) !== 'granted') {
+      if (!handle.requestPermission || await handle.requestPermission(options) !== 'granted') {
+        return null;
+      }
+    }
+
+    return handle.getFile();
+  }
+}
+
+// Create singleton instance
+const blobStore = new BlobStore();
+
+export { BlobStore };
+export default blobStore;
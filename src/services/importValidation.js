@@ -0,0 +1,146 @@
+// Validation for library imports (JSON exports and archive manifests)
+import { z } from 'zod';
+
+const MAX_TEXT_LENGTH = 1024;
+
+const text = z.string().max(MAX_TEXT_LENGTH);
+
+const artworkId = z.string().regex(/^[\w-]{1,128}$/, 'Invalid artwork id');
+
+const timestamp = z.string().max(64).refine(
+  value => !Number.isNaN(Date.parse(value)),
+  { message: 'Invalid date' }
+);
+
+// Accepts every historical record shape that migrations know how to normalise.
+// Unknown keys are stripped, so new track fields must be added here as well.
+export const importedTrackSchema = z.object({
+  id: z.union([z.string().min(1).max(128), z.number().finite()]),
+  name: text.optional(),
+  fileName: text.optional(),
+  file: text.optional(),
+  relativePath: text.optional(),
+  duration: z.number().finite().nonnegative().optional(),
+  size: z.number().int().nonnegative().optional(),
+  sampleRate: z.number().int().positive().max(1000000).optional(),
+  channels: z.number().int().positive().max(255).optional(),
+  bitrate: z.number().int().positive().optional(),
+  type: z.string().max(255).optional(),
+  title: text.optional(),
+  artist: text.optional(),
+  album: text.optional(),
+  albumArtist: text.optional(),
+  trackNumber: z.number().int().positive().optional(),
+  trackTotal: z.number().int().positive().optional(),
+  discNumber: z.number().int().positive().optional(),
+  discTotal: z.number().int().positive().optional(),
+  year: z.number().int().min(0).max(9999).optional(),
+  genre: text.optional(),
+  comment: z.string().max(8192).optional(),
+  artworkId: artworkId.optional(),
+  originalArtworkId: artworkId.optional(),
+  artworkEdited: z.boolean().optional(),
+  cueTracks: z.array(z.object({
+    number: z.number().int().nonnegative(),
+    title: text.optional(),
+    performer: text.optional(),
+    start: z.number().finite().nonnegative()
+  })).max(999).optional(),
+  chapters: z.array(z.object({
+    start: z.number().finite().nonnegative(),
+    title: text
+  })).max(1000).optional(),
+  hash: z.string().regex(/^[0-9a-f]{64}$/, 'Expected a SHA-256 hex digest').optional(),
+  playCount: z.number().int().nonnegative().optional(),
+  lastPlayedAt: timestamp.optional(),
+  addedAt: timestamp.optional(),
+  uploadedAt: timestamp.optional(),
+  dateAdded: timestamp.optional(),
+  data: z.string().regex(/^data:audio\/[\w.+-]+;base64,/, 'Expected a base64 audio data URL').optional(),
+  url: z.string().url().max(2048).refine(
+    value => /^(https?|blob):/.test(value),
+    { message: 'Unsupported URL scheme' }
+  ).optional()
+});
+
+export const importedLibrarySchema = z.object({
+  tracks: z.array(z.unknown()).max(100000).optional(),
+  currentTrack: z.union([z.string().max(128), z.null()]).optional(),
+  volume: z.number().min(0).max(1).optional(),
+  playlistState: z.object({
+    shuffle: z.boolean(),
+    repeat: z.enum(['none', 'one', 'all']),
+    currentIndex: z.number().int().nonnegative()
+  }).optional(),
+  settings: z.object({
+    volume: z.number().min(0).max(1).optional(),
+    trashRetentionDays: z.number().int().nonnegative().max(3650).optional(),
+    filenamePatterns: z.array(z.string().max(255)).max(50).optional()
+  }).optional(),
+  lyrics: z.record(z.string().max(128), z.string().max(64 * 1024)).optional(),
+  schemaVersion: z.number().int().nonnegative().optional(),
+  exportDate: timestamp.optional(),
+  audioFiles: z.record(z.string().max(255)).optional(),
+  artworkFiles: z.record(artworkId, z.string().max(255)).optional()
+});
+
+const formatIssues = (error) => error.issues.map(issue => (
+  issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message
+));
+
+/**
+ * Validate parsed import data against the current library
+ * @param {unknown} data - Parsed JSON
+ * @param {Array} existingTracks - Tracks currently in the library
+ * @returns {{report: Object, data: Object|null, tracks: Array}} Report plus the
+ *   validated top-level data and the track entries that passed validation
+ */
+export const validateLibraryImport = (data, existingTracks = []) => {
+  const report = {
+    valid: false,
+    errors: [],
+    counts: { incoming: 0, added: 0, conflicts: 0, invalid: 0, existing: existingTracks.length },
+    conflicts: [],
+    invalid: []
+  };
+
+  const parsed = importedLibrarySchema.safeParse(data);
+  if (!parsed.success) {
+    report.errors = formatIssues(parsed.error);
+    return { report, data: null, tracks: [] };
+  }
+
+  const existingById = new Map(existingTracks.map(track => [String(track.id), track]));
+  const seenIds = new Set();
+  const tracks = [];
+  const incoming = parsed.data.tracks || [];
+  report.counts.incoming = incoming.length;
+
+  incoming.forEach((entry, index) => {
+    const result = importedTrackSchema.safeParse(entry);
+    if (!result.success) {
+      report.invalid.push({ index, issues: formatIssues(result.error) });
+      return;
+    }
+
+    const id = String(result.data.id);
+    if (seenIds.has(id)) {
+      report.invalid.push({ index, issues: [`id: Duplicate id "${id}" in import`] });
+      return;
+    }
+    seenIds.add(id);
+
+    const existing = existingById.get(id);
+    if (existing) {
+      report.conflicts.push({ id, existingName: existing.name, incomingName: result.data.name });
+    }
+    tracks.push(result.data);
+  });
+
+  report.counts.invalid = report.invalid.length;
+  report.counts.conflicts = report.conflicts.length;
+  report.counts.added = tracks.length - report.conflicts.length;
+  report.valid = true;
+
+  return { report, data: parsed.data, tracks };
+};
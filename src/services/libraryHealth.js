@@ -0,0 +1,72 @@
+// Library health checks: finds broken track records and stray audio
+import { getAudioMimeType } from '../utils/helpers';
+
+export const HEALTH_ISSUES = {
+  DUPLICATE_IDS: 'duplicateIds',
+  MISSING_AUDIO: 'missingAudio',
+  ZERO_DURATION: 'zeroDuration',
+  INVALID_TYPE: 'invalidType',
+  ORPHANED_AUDIO: 'orphanedAudio'
+};
+
+const isAudioType = (type) => typeof type === 'string' && type.startsWith('audio/');
+
+/**
+ * Scan track records for problems
+ * @param {Array} tracks - Library tracks as stored
+ * @param {Object} stored - What the audio stores hold
+ * @param {Array<string>} stored.audioKeys - Ids with stored audio
+ * @param {Array<string>} stored.handleKeys - Ids with a saved file handle
+ * @param {Array} stored.trash - Trashed tracks, whose audio is still in use
+ * @returns {Object} Report with one list per HEALTH_ISSUES category plus totals
+ */
+export const scanLibrary = (tracks, { audioKeys = [], handleKeys = [], trash = [] } = {}) => {
+  const available = new Set([...audioKeys, ...handleKeys].map(String));
+  const seenIds = new Set();
+
+  const issues = {
+    [HEALTH_ISSUES.DUPLICATE_IDS]: [],
+    [HEALTH_ISSUES.MISSING_AUDIO]: [],
+    [HEALTH_ISSUES.ZERO_DURATION]: [],
+    [HEALTH_ISSUES.INVALID_TYPE]: [],
+    [HEALTH_ISSUES.ORPHANED_AUDIO]: []
+  };
+
+  tracks.forEach((track, index) => {
+    const id = String(track.id);
+    const entry = { index, id, name: track.name || track.fileName || id };
+
+    // The first record keeps the id; later ones are the duplicates
+    if (seenIds.has(id)) {
+      issues[HEALTH_ISSUES.DUPLICATE_IDS].push(entry);
+    }
+    seenIds.add(id);
+
+    if (!available.has(id) && !track.data && !track.url) {
+      issues[HEALTH_ISSUES.MISSING_AUDIO].push(entry);
+    }
+
+    if (!(track.duration > 0)) {
+      issues[HEALTH_ISSUES.ZERO_DURATION].push(entry);
+    }
+
+    if (!isAudioType(track.type)) {
+      issues[HEALTH_ISSUES.INVALID_TYPE].push({ ...entry, type: track.type || '', suggestedType: getAudioMimeType(track.fileName) });
+    }
+  });
+
+  const referencedIds = new Set([...tracks, ...trash].map(track => String(track.id)));
+  audioKeys.map(String).filter(id => !referencedIds.has(id)).forEach(id => {
+    issues[HEALTH_ISSUES.ORPHANED_AUDIO].push({ id, name: id });
+  });
+
+  const problemCount = Object.values(issues).reduce((total, list) => total + list.length, 0);
+
+  return {
+    checkedAt: new Date().toISOString(),
+    total: tracks.length,
+    healthy: problemCount === 0,
+    problemCount,
+    issues
+  };
+};
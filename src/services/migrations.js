@@ -0,0 +1,92 @@
+// Library schema migrations, applied in order on load
+import { generateId } from '../utils/helpers';
+
+const stripExtension = (filename) => filename.replace(/\.[^/.]+$/, '');
+
+// Brings any historical track shape to the current record layout:
+// string id, fileName, addedAt, and no transient file/blob URL fields
+export const normalizeTrack = (track) => {
+  const {
+    id,
+    file,
+    url,
+    uploadedAt,
+    dateAdded,
+    ...rest
+  } = track;
+
+  const fileName = typeof file === 'string'
+    ? file
+    : rest.fileName || (file && file.name) || rest.name || '';
+
+  const record = {
+    ...rest,
+    id: id !== undefined && id !== null && id !== '' ? String(id) : generateId(),
+    name: rest.name || stripExtension(fileName) || 'Untitled',
+    fileName,
+    duration: Number.isFinite(rest.duration) ? rest.duration : 0,
+    size: Number.isFinite(rest.size) ? rest.size : (file && file.size) || 0,
+    type: rest.type || (file && file.type) || '',
+    addedAt: rest.addedAt || uploadedAt || dateAdded || new Date().toISOString()
+  };
+
+  // Blob URLs die with the page; anything else (remote URLs) is still playable
+  if (typeof url === 'string' && !url.startsWith('blob:')) {
+    record.url = url;
+  }
+
+  return record;
+};
+
+export const migrations = [
+  {
+    version: 1,
+    description: 'Normalise track ids, file names and timestamps',
+    up: async (state) => ({
+      ...state,
+      tracks: state.tracks.filter(Boolean).map(normalizeTrack)
+    })
+  },
+  {
+    version: 2,
+    description: 'Move data URL audio into the blob store',
+    up: async (state, { blobStore }) => {
+      const tracks = [];
+
+      for (const track of state.tracks) {
+        if (typeof track.data !== 'string' || !track.data.startsWith('data:')) {
+          tracks.push(track);
+          continue;
+        }
+
+        try {
+          const response = await fetch(track.data);
+          const blob = await response.blob();
+          await blobStore.put(track.id, blob);
+          const migrated = { ...track, type: track.type || blob.type, size: track.size || blob.size };
+          delete migrated.data;
+          tracks.push(migrated);
+        } catch (error) {
+          // Keep the data URL so the track still plays from it
+          console.error('Failed to migrate track audio:', track.name, error);
+          tracks.push(track);
+        }
+      }
+
+      return { ...state, tracks };
+    }
+  }
+];
+
+export const LATEST_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+export const runMigrations = async (state, fromVersion, context = {}) => {
+  let current = state;
+
+  for (const migration of migrations) {
+    if (migration.version <= fromVersion) continue;
+    current = await migration.up(current, context);
+  }
+
+  return current;
+};
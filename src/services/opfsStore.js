@@ -0,0 +1,134 @@
+// Origin private file system storage for audio file contents. Large libraries
+// outgrow IndexedDB blobs; OPFS files are written from a worker and read back
+// as disk-backed Files, so playback streams instead of loading whole tracks.
+
+const AUDIO_DIRECTORY = 'audio';
+
+// Track ids become file names, so keep them to characters every platform accepts
+const toFileName = (id) => encodeURIComponent(String(id));
+const fromFileName = (name) => decodeURIComponent(name);
+// Written by the worker while a file is being copied in; see opfsWorker.js
+const isPartialFileName = (name) => name.endsWith('#partial');
+
+class OpfsStore {
+  constructor() {
+    this.name = 'opfs';
+    this.directoryPromise = null;
+    this.worker = null;
+    this.pendingWrites = new Map();
+    this.nextRequestId = 0;
+  }
+
+  static isSupported() {
+    return typeof navigator !== 'undefined'
+      && typeof navigator.storage?.getDirectory === 'function'
+      && typeof Worker !== 'undefined'
+      && typeof FileSystemFileHandle !== 'undefined'
+      && 'createSyncAccessHandle' in FileSystemFileHandle.prototype;
+  }
+
+  getDirectory() {
+    if (this.directoryPromise) return this.directoryPromise;
+
+    this.directoryPromise = navigator.storage.getDirectory()
+      .then(root => root.getDirectoryHandle(AUDIO_DIRECTORY, { create: true }))
+      .catch(error => {
+        this.directoryPromise = null;
+        throw error;
+      });
+
+    return this.directoryPromise;
+  }
+
+  getWorker() {
+    if (this.worker) return this.worker;
+
+    this.worker = new Worker(new URL('../workers/opfsWorker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (event) => {
+      const { requestId, ok, error } = event.data;
+      const pending = this.pendingWrites.get(requestId);
+      if (!pending) return;
+
+      this.pendingWrites.delete(requestId);
+      if (ok) {
+        pending.resolve();
+      } else {
+        pending.reject(new Error(error));
+      }
+    };
+    this.worker.onerror = (event) => {
+      // A crashed worker fails every outstanding write; the next put starts a fresh one
+      const error = new Error(event.message || 'OPFS worker failed');
+      this.pendingWrites.forEach(pending => pending.reject(error));
+      this.pendingWrites.clear();
+      this.worker.terminate();
+      this.worker = null;
+    };
+
+    return this.worker;
+  }
+
+  async getFileHandle(id) {
+    const directory = await this.getDirectory();
+    try {
+      return await directory.getFileHandle(toFileName(id));
+    } catch (error) {
+      if (error.name === 'NotFoundError') return null;
+      throw error;
+    }
+  }
+
+  // Blob management, mirroring the IndexedDB blob store
+  put(id, blob) {
+    return new Promise((resolve, reject) => {
+      const requestId = ++this.nextRequestId;
+      this.pendingWrites.set(requestId, { resolve: () => resolve(true), reject });
+      this.getWorker().postMessage({ requestId, type: 'write', name: toFileName(id), blob });
+    });
+  }
+
+  async get(id) {
+    const handle = await this.getFileHandle(id);
+    return handle ? handle.getFile() : null;
+  }
+
+  async has(id) {
+    return Boolean(await this.getFileHandle(id));
+  }
+
+  async delete(id) {
+    const directory = await this.getDirectory();
+    try {
+      await directory.removeEntry(toFileName(id));
+    } catch (error) {
+      if (error.name !== 'NotFoundError') throw error;
+    }
+    return true;
+  }
+
+  async keys() {
+    const directory = await this.getDirectory();
+    const keys = [];
+    for await (const [name, handle] of directory.entries()) {
+      if (handle.kind === 'file' && !isPartialFileName(name)) keys.push(fromFileName(name));
+    }
+    return keys;
+  }
+
+  async clear() {
+    const root = await navigator.storage.getDirectory();
+    try {
+      await root.removeEntry(AUDIO_DIRECTORY, { recursive: true });
+    } catch (error) {
+      if (error.name !== 'NotFoundError') throw error;
+    }
+    this.directoryPromise = null;
+    return true;
+  }
+}
+
+// Create singleton instance
+const opfsStore = new OpfsStore();
+
+export { OpfsStore };
+export default opfsStore;
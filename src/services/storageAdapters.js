@@ -0,0 +1,246 @@
+// Key/value storage backends used by storageService
+//
+// Every adapter exposes the same synchronous surface:
+//   getItem(key) -> string | null
+//   setItem(key, value)
+//   removeItem(key)
+//   keys() -> string[]
+//   syncItem(key, value) -> updates this tab's view after another tab wrote
+//                           the value, without persisting it again
+// Asynchronous backends keep an in-memory copy that is loaded by ready()
+// and written through in the background.
+
+import { isEncryptedText } from '../utils/crypto';
+
+export const createMemoryAdapter = (initialEntries = {}) => {
+  const entries = new Map(Object.entries(initialEntries));
+
+  return {
+    name: 'memory',
+    ready: () => Promise.resolve(),
+    getItem: (key) => (entries.has(key) ? entries.get(key) : null),
+    setItem: (key, value) => {
+      entries.set(key, String(value));
+    },
+    removeItem: (key) => {
+      entries.delete(key);
+    },
+    syncItem: (key, value) => {
+      if (value === null) {
+        entries.delete(key);
+      } else {
+        entries.set(key, value);
+      }
+    },
+    keys: () => Array.from(entries.keys())
+  };
+};
+
+export const createLocalStorageAdapter = (storage = globalThis.localStorage) => {
+  return {
+    name: 'localStorage',
+    ready: () => Promise.resolve(),
+    getItem: (key) => storage.getItem(key),
+    setItem: (key, value) => storage.setItem(key, String(value)),
+    removeItem: (key) => storage.removeItem(key),
+    // Shared across tabs already, nothing to update
+    syncItem: () => {},
+    keys: () => {
+      const keys = [];
+      for (let i = 0; i < storage.length; i++) {
+        keys.push(storage.key(i));
+      }
+      return keys;
+    }
+  };
+};
+
+const KV_DB_NAME = 'audioPlayer_storage';
+const KV_STORE = 'entries';
+
+export const createIndexedDBAdapter = (factory = globalThis.indexedDB) => {
+  const cache = new Map();
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = factory.open(KV_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(KV_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const write = (callback) => {
+    open()
+      .then((db) => {
+        const tx = db.transaction(KV_STORE, 'readwrite');
+        callback(tx.objectStore(KV_STORE));
+      })
+      .catch((error) => {
+        console.error('Failed to write to IndexedDB storage:', error);
+      });
+  };
+
+  return {
+    name: 'indexedDB',
+    ready: async () => {
+      const db = await open();
+      const tx = db.transaction(KV_STORE, 'readonly');
+      const store = tx.objectStore(KV_STORE);
+
+      await new Promise((resolve, reject) => {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve();
+            return;
+          }
+          cache.set(cursor.key, cursor.value);
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+    },
+    getItem: (key) => (cache.has(key) ? cache.get(key) : null),
+    setItem: (key, value) => {
+      const serialized = String(value);
+      cache.set(key, serialized);
+      write((store) => store.put(serialized, key));
+    },
+    removeItem: (key) => {
+      cache.delete(key);
+      write((store) => store.delete(key));
+    },
+    syncItem: (key, value) => {
+      if (value === null) {
+        cache.delete(key);
+      } else {
+        cache.set(key, value);
+      }
+    },
+    keys: () => Array.from(cache.keys())
+  };
+};
+
+// Scopes another adapter to keys that start with prefix. isForeignKey lets an
+// unprefixed scope (the default profile) skip keys that belong to other scopes.
+export const createNamespacedAdapter = (baseAdapter, prefix, { isForeignKey = () => false } = {}) => {
+  return {
+    name: baseAdapter.name,
+    ready: () => Promise.resolve(),
+    getItem: (key) => baseAdapter.getItem(prefix + key),
+    setItem: (key, value) => baseAdapter.setItem(prefix + key, value),
+    removeItem: (key) => baseAdapter.removeItem(prefix + key),
+    syncItem: (key, value) => baseAdapter.syncItem(prefix + key, value),
+    keys: () => baseAdapter.keys()
+      .filter(key => key.startsWith(prefix) && !isForeignKey(key))
+      .map(key => key.slice(prefix.length))
+  };
+};
+
+// Wraps another adapter so values are encrypted before they reach it. Decrypted
+// values are cached by ready(); writes are encrypted and applied in order in the
+// background. plainKeys are stored as they are (the encryption settings themselves).
+export const createEncryptedAdapter = (baseAdapter, cipher, { plainKeys = [] } = {}) => {
+  const cache = new Map();
+  const unencrypted = new Set(plainKeys);
+  let pending = Promise.resolve();
+
+  const enqueue = (task) => {
+    pending = pending.then(task).catch((error) => {
+      console.error('Failed to write encrypted storage:', error);
+    });
+    return pending;
+  };
+
+  return {
+    name: `encrypted(${baseAdapter.name})`,
+    ready: async () => {
+      for (const key of baseAdapter.keys()) {
+        const value = baseAdapter.getItem(key);
+        if (value === null) continue;
+        // Values written before encryption was turned on are read as they are
+        cache.set(key, isEncryptedText(value) ? await cipher.decryptText(value) : value);
+      }
+    },
+    getItem: (key) => (cache.has(key) ? cache.get(key) : null),
+    setItem: (key, value) => {
+      const serialized = String(value);
+      cache.set(key, serialized);
+      enqueue(async () => {
+        const stored = unencrypted.has(key) ? serialized : await cipher.encryptText(serialized);
+        baseAdapter.setItem(key, stored);
+      });
+    },
+    removeItem: (key) => {
+      cache.delete(key);
+      enqueue(() => baseAdapter.removeItem(key));
+    },
+    // Another tab already stored the encrypted value; it sends the plain one
+    syncItem: (key, value) => {
+      if (value === null) {
+        cache.delete(key);
+      } else {
+        cache.set(key, value);
+      }
+    },
+    keys: () => Array.from(cache.keys()),
+    // Resolves once every queued write has reached the wrapped adapter
+    flush: () => pending
+  };
+};
+
+// Storage can exist but throw on access (private mode, sandboxed iframes)
+const isLocalStorageUsable = () => {
+  try {
+    const probeKey = '__audioPlayer_probe__';
+    globalThis.localStorage.setItem(probeKey, probeKey);
+    globalThis.localStorage.removeItem(probeKey);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const isIndexedDBUsable = () => {
+  try {
+    return typeof globalThis.indexedDB !== 'undefined' && globalThis.indexedDB !== null;
+  } catch {
+    return false;
+  }
+};
+
+// Picks the most durable backend available, falling back to memory
+export const detectStorageAdapter = async (preferred) => {
+  const candidates = {
+    localStorage: () => (isLocalStorageUsable() ? createLocalStorageAdapter() : null),
+    indexedDB: () => (isIndexedDBUsable() ? createIndexedDBAdapter() : null),
+    memory: () => createMemoryAdapter()
+  };
+
+  const order = ['localStorage', 'indexedDB', 'memory'];
+  if (preferred && candidates[preferred]) {
+    order.unshift(preferred);
+  }
+
+  for (const name of order) {
+    const adapter = candidates[name]();
+    if (!adapter) continue;
+
+    try {
+      await adapter.ready();
+      return adapter;
+    } catch (error) {
+      console.error(`Storage backend "${name}" is unavailable:`, error);
+    }
+  }
+
+  return createMemoryAdapter();
+};
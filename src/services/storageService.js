@@ -1,32 +1,454 @@
-// LocalStorage management utilities for audio tracks
+// Persistent storage utilities for audio tracks
+import audioStore from './audioStore';
+import artworkStore from './artworkStore';
+import {
+  createEncryptedAdapter,
+  createMemoryAdapter,
+  createNamespacedAdapter,
+  detectStorageAdapter
+} from './storageAdapters';
+import { LATEST_SCHEMA_VERSION, normalizeTrack, runMigrations } from './migrations';
+import { createArchive, readArchive } from '../utils/archive';
+import { validateLibraryImport } from './importValidation';
+import { HEALTH_ISSUES, scanLibrary } from './libraryHealth';
+import { generateId, hashFile, probeDuration } from '../utils/helpers';
+import { findSidecarFile, toUploadEntry } from '../utils/fileSystem';
+import { getSourceId, matchCueSheet, parseCueSheet } from '../utils/cueSheet';
+import { STREAM_FIELDS, TAG_FIELDS, readEmbeddedMetadata, writeTags } from '../utils/metadata';
+import { DEFAULT_FILENAME_PATTERNS, inferTagsFromPath } from '../utils/filenamePatterns';
+import { PBKDF2_ITERATIONS, createCipher, deriveKey, fromBase64, generateSalt, toBase64 } from '../utils/crypto';
 
-const STORAGE_KEYS = {
+export const STORAGE_KEYS = {
+  SCHEMA_VERSION: 'audioPlayer_schemaVersion',
   TRACKS: 'audioPlayer_tracks',
   CURRENT_TRACK: 'audioPlayer_currentTrack',
   VOLUME: 'audioPlayer_volume',
-  PLAYLIST_STATE: 'audioPlayer_playlistState'
+  PLAYLIST_STATE: 'audioPlayer_playlistState',
+  SETTINGS: 'audioPlayer_settings',
+  TRASH: 'audioPlayer_trash',
+  SESSION: 'audioPlayer_session',
+  ENCRYPTION: 'audioPlayer_encryption',
+  LYRICS: 'audioPlayer_lyrics'
 };
 
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+export const MAX_LYRICS_LENGTH = 64 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Version of the record layout written under STORAGE_KEYS
+export const SCHEMA_VERSION = LATEST_SCHEMA_VERSION;
+
+const LIBRARY_MANIFEST = 'manifest.json';
+
+// Decrypting this proves the passphrase is right without touching library data
+const ENCRYPTION_CHECK = 'audioPlayer';
+
+export const DEFAULT_PROFILE_ID = 'default';
+const PROFILES_KEY = 'audioPlayer_profiles';
+const PROFILE_KEY_PREFIX = 'profile:';
+
+// Cue points past the end of the file are dropped. The sheet's album details
+// fill in tags the file doesn't carry.
+const applyCueSheet = (track, cueSheet) => {
+  const cueTracks = (cueSheet?.tracks || []).filter(cue => !track.duration || cue.start < track.duration);
+  if (cueTracks.length === 0) return track;
+
+  return {
+    ...track,
+    album: track.album ?? cueSheet.title,
+    albumArtist: track.albumArtist ?? cueSheet.performer,
+    genre: track.genre ?? cueSheet.genre,
+    year: track.year ?? (Number.parseInt(cueSheet.year, 10) || undefined),
+    cueTracks
+  };
+};
+
+// The default profile keeps the unprefixed keys, so libraries saved before
+// profiles existed belong to it without a migration
+export const getProfilePrefix = (profileId) => (
+  profileId === DEFAULT_PROFILE_ID ? '' : `${PROFILE_KEY_PREFIX}${profileId}:`
+);
+
+const isOtherProfileKey = (key) => key.startsWith(PROFILE_KEY_PREFIX);
+
+const RANDOM_ARTWORK_PREFIX = 'artwork-';
+
+const createRandomArtworkId = () => `${RANDOM_ARTWORK_PREFIX}${generateId()}`;
+
+const isRandomArtworkId = (id) => String(id).startsWith(RANDOM_ARTWORK_PREFIX);
+
+// Track fields that point into artworkStore: the thumbnail, and the full-size
+// image when the art was picked in the tag editor
+const ARTWORK_FIELDS = ['artworkId', 'originalArtworkId'];
+
+const getArtworkIds = (track) => ARTWORK_FIELDS.map(field => track[field]).filter(Boolean);
+
+// Tracks by the same album artist (or artist) and album share their art
+const getAlbumKey = (tags) => (
+  tags.album ? [tags.albumArtist || tags.artist || '', tags.album].join('\n').toLowerCase() : null
+);
+
+// Memory until init() picks a persistent backend, so the service also runs under Node.
+// storeAdapter is the whole backend, baseAdapter the active profile's slice of it,
+// and activeAdapter wraps baseAdapter with encryption once the profile is unlocked.
+let storeAdapter = createMemoryAdapter();
+let baseAdapter = storeAdapter;
+let activeAdapter = baseAdapter;
+let activeProfileId = DEFAULT_PROFILE_ID;
+let isLibraryLocked = false;
+// Artwork ids handed out per album since unlock, for tracks not saved yet
+const albumArtworkIds = new Map();
+const changeListeners = new Set();
+
 class storageService {
+  // Storage backend
+  static async init(preferred) {
+    storeAdapter = await detectStorageAdapter(preferred);
+    audioStore.init();
+    this.activateProfile(this.getProfileRegistry().activeId);
+
+    // An encrypted library stays behind an empty placeholder until unlock()
+    if (this.getEncryptionConfig()) {
+      isLibraryLocked = true;
+      activeAdapter = createMemoryAdapter();
+      return activeAdapter;
+    }
+
+    await this.migrate();
+    return activeAdapter;
+  }
+
+  static useAdapter(adapter) {
+    storeAdapter = adapter;
+    this.activateProfile(activeProfileId);
+  }
+
+  // Points metadata and audio at one profile's keys
+  static activateProfile(profileId) {
+    const prefix = getProfilePrefix(profileId);
+    const isForeignKey = prefix ? () => false : isOtherProfileKey;
+
+    activeProfileId = profileId;
+    baseAdapter = createNamespacedAdapter(storeAdapter, prefix, { isForeignKey });
+    activeAdapter = baseAdapter;
+    audioStore.setNamespace(prefix, isForeignKey);
+    audioStore.setCipher(null);
+    albumArtworkIds.clear();
+    isLibraryLocked = false;
+  }
+
+  static getAdapter() {
+    return activeAdapter;
+  }
+
+  // Raw key access. Every write is reported to change listeners with its
+  // origin ('local' here, 'remote' when applied from another tab).
+  static setItem(key, value) {
+    activeAdapter.setItem(key, value);
+    this.notifyChange(key, String(value), 'local');
+  }
+
+  static removeItem(key) {
+    activeAdapter.removeItem(key);
+    this.notifyChange(key, null, 'local');
+  }
+
+  // Changes from tabs on another profile are for keys this tab doesn't show
+  static applyRemoteChange(key, value, profileId = DEFAULT_PROFILE_ID) {
+    if (!Object.values(STORAGE_KEYS).includes(key) || profileId !== activeProfileId) return;
+
+    activeAdapter.syncItem(key, value);
+    this.notifyChange(key, value, 'remote');
+  }
+
+  static subscribe(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+  }
+
+  static notifyChange(key, value, origin) {
+    changeListeners.forEach(listener => {
+      try {
+        listener({ key, value, origin });
+      } catch (error) {
+        console.error('Storage change listener failed:', error);
+      }
+    });
+  }
+
+  // Profiles: each has its own library, settings, history and encryption.
+  // The registry and the active profile are shared by every tab.
+  static getProfileRegistry() {
+    try {
+      const serializedRegistry = storeAdapter.getItem(PROFILES_KEY);
+      const registry = serializedRegistry ? JSON.parse(serializedRegistry) : null;
+      if (registry?.profiles?.some(profile => profile.id === registry.activeId)) {
+        return registry;
+      }
+    } catch (error) {
+      console.error('Failed to read profiles:', error);
+    }
+
+    return {
+      activeId: DEFAULT_PROFILE_ID,
+      profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Default', createdAt: null }]
+    };
+  }
+
+  static saveProfileRegistry(registry) {
+    try {
+      storeAdapter.setItem(PROFILES_KEY, JSON.stringify(registry));
+      return true;
+    } catch (error) {
+      console.error('Failed to save profiles:', error);
+      return false;
+    }
+  }
+
+  static getProfiles() {
+    return this.getProfileRegistry().profiles;
+  }
+
+  static getActiveProfileId() {
+    return activeProfileId;
+  }
+
+  static getActiveProfile() {
+    return this.getProfiles().find(profile => profile.id === activeProfileId) || null;
+  }
+
+  static createProfile(name) {
+    const registry = this.getProfileRegistry();
+    const profile = {
+      id: generateId(),
+      name: name.trim() || `Profile ${registry.profiles.length + 1}`,
+      createdAt: new Date().toISOString()
+    };
+
+    registry.profiles.push(profile);
+    return this.saveProfileRegistry(registry) ? profile : null;
+  }
+
+  static renameProfile(profileId, name) {
+    const registry = this.getProfileRegistry();
+    const profile = registry.profiles.find(item => item.id === profileId);
+    if (!profile || !name.trim()) return false;
+
+    profile.name = name.trim();
+    return this.saveProfileRegistry(registry);
+  }
+
+  // The default profile and the one in use can't be deleted
+  static async deleteProfile(profileId) {
+    if (profileId === DEFAULT_PROFILE_ID || profileId === activeProfileId) return false;
+
+    const registry = this.getProfileRegistry();
+    if (!registry.profiles.some(profile => profile.id === profileId)) return false;
+
+    try {
+      const prefix = getProfilePrefix(profileId);
+      storeAdapter.keys()
+        .filter(key => key.startsWith(prefix))
+        .forEach(key => storeAdapter.removeItem(key));
+      await audioStore.deleteNamespace(prefix);
+      await artworkStore.deleteNamespace(prefix);
+    } catch (error) {
+      console.error('Failed to delete profile data:', error);
+      return false;
+    }
+
+    registry.profiles = registry.profiles.filter(profile => profile.id !== profileId);
+    return this.saveProfileRegistry(registry);
+  }
+
+  // Saves the choice for the next load; callers reload so no state carries over
+  static async switchProfile(profileId) {
+    const registry = this.getProfileRegistry();
+    if (!registry.profiles.some(profile => profile.id === profileId)) return false;
+
+    await activeAdapter.flush?.();
+    return this.saveProfileRegistry({ ...registry, activeId: profileId });
+  }
+
+  // Encryption: metadata and audio are encrypted with an AES-GCM key derived
+  // from the passphrase. Only the salt and a check value are stored in the clear.
+  static getEncryptionConfig() {
+    try {
+      const serializedConfig = baseAdapter.getItem(STORAGE_KEYS.ENCRYPTION);
+      return serializedConfig ? JSON.parse(serializedConfig) : null;
+    } catch (error) {
+      console.error('Failed to read encryption settings:', error);
+      return null;
+    }
+  }
+
+  static isEncrypted() {
+    return Boolean(this.getEncryptionConfig());
+  }
+
+  static isLocked() {
+    return isLibraryLocked;
+  }
+
+  // Resolves to a cipher for the passphrase, or null when it's wrong
+  static async createCipherFor(passphrase, config = this.getEncryptionConfig()) {
+    if (!config) return null;
+
+    const key = await deriveKey(passphrase, fromBase64(config.salt), config.iterations);
+    const cipher = createCipher(key);
+    try {
+      return await cipher.decryptText(config.check) === ENCRYPTION_CHECK ? cipher : null;
+    } catch {
+      return null;
+    }
+  }
+
+  static async unlock(passphrase) {
+    const cipher = await this.createCipherFor(passphrase);
+    if (!cipher) return false;
+
+    const encryptedAdapter = createEncryptedAdapter(baseAdapter, cipher, {
+      plainKeys: [STORAGE_KEYS.ENCRYPTION]
+    });
+    await encryptedAdapter.ready();
+
+    activeAdapter = encryptedAdapter;
+    audioStore.setCipher(cipher);
+    isLibraryLocked = false;
+    await this.migrate();
+    // Libraries encrypted before artwork ids were random still have album-derived keys
+    await this.replaceDerivedArtworkIds().catch(error => {
+      console.error('Failed to replace artwork ids:', error);
+    });
+    return true;
+  }
+
+  // Waits for queued encrypted writes, then forgets the key
+  static async lock() {
+    if (!this.isEncrypted()) return false;
+
+    await activeAdapter.flush?.();
+    activeAdapter = createMemoryAdapter();
+    audioStore.setCipher(null);
+    albumArtworkIds.clear();
+    isLibraryLocked = true;
+    return true;
+  }
+
+  static async enableEncryption(passphrase) {
+    if (this.isEncrypted()) return false;
+
+    try {
+      const salt = generateSalt();
+      const cipher = createCipher(await deriveKey(passphrase, salt, PBKDF2_ITERATIONS));
+      const config = {
+        version: 1,
+        salt: toBase64(salt),
+        iterations: PBKDF2_ITERATIONS,
+        check: await cipher.encryptText(ENCRYPTION_CHECK)
+      };
+
+      // Audio first: if this fails part way, decodeBlob() still reads the plain files
+      await artworkStore.recrypt(cipher);
+      await audioStore.recrypt(cipher);
+      await this.replaceDerivedArtworkIds();
+
+      const encryptedAdapter = createEncryptedAdapter(baseAdapter, cipher, {
+        plainKeys: [STORAGE_KEYS.ENCRYPTION]
+      });
+      const entries = Object.values(STORAGE_KEYS)
+        .map(key => [key, activeAdapter.getItem(key)])
+        .filter(([, value]) => value !== null);
+
+      // The settings go first so an interrupted rewrite still unlocks;
+      // plain values left behind are read as they are
+      activeAdapter = encryptedAdapter;
+      this.setItem(STORAGE_KEYS.ENCRYPTION, JSON.stringify(config));
+      entries.forEach(([key, value]) => encryptedAdapter.setItem(key, value));
+      await encryptedAdapter.flush();
+      return true;
+    } catch (error) {
+      console.error('Failed to encrypt library:', error);
+      return false;
+    }
+  }
+
+  static async disableEncryption(passphrase) {
+    const cipher = await this.createCipherFor(passphrase);
+    if (!cipher || isLibraryLocked) return false;
+
+    try {
+      await artworkStore.recrypt(null);
+      await audioStore.recrypt(null);
+      await activeAdapter.flush?.();
+
+      Object.values(STORAGE_KEYS).forEach(key => {
+        const value = activeAdapter.getItem(key);
+        if (value !== null) baseAdapter.setItem(key, value);
+      });
+      activeAdapter = baseAdapter;
+      this.removeItem(STORAGE_KEYS.ENCRYPTION);
+      return true;
+    } catch (error) {
+      console.error('Failed to decrypt library:', error);
+      return false;
+    }
+  }
+
+  // Schema migrations
+  static getSchemaVersion() {
+    const version = parseInt(activeAdapter.getItem(STORAGE_KEYS.SCHEMA_VERSION), 10);
+    return Number.isNaN(version) ? 0 : version;
+  }
+
+  static async migrate() {
+    const storedVersion = this.getSchemaVersion();
+    if (storedVersion >= SCHEMA_VERSION) return false;
+
+    try {
+      const { tracks } = await runMigrations({ tracks: this.getTracks() }, storedVersion, { blobStore: audioStore });
+      if (!this.saveTracks(tracks)) return false;
+
+      this.setItem(STORAGE_KEYS.SCHEMA_VERSION, String(SCHEMA_VERSION));
+      return true;
+    } catch (error) {
+      // Leave the stored version alone so the next load tries again
+      console.error('Failed to migrate library:', error);
+      return false;
+    }
+  }
+
+  // Track records only hold metadata; audio bytes live in the audio store
+  static toTrackRecord(track) {
+    const record = { ...track };
+    if (typeof record.url === 'string' && record.url.startsWith('blob:')) {
+      delete record.url;
+    }
+    if (record.file instanceof Blob) {
+      delete record.file;
+    }
+    return record;
+  }
+
   // Track management
   static saveTracks(tracks) {
     try {
-      const serializedTracks = JSON.stringify(tracks);
-      localStorage.setItem(STORAGE_KEYS.TRACKS, serializedTracks);
+      const serializedTracks = JSON.stringify(tracks.map(track => this.toTrackRecord(track)));
+      this.setItem(STORAGE_KEYS.TRACKS, serializedTracks);
       return true;
     } catch (error) {
-      console.error('Failed to save tracks to localStorage:', error);
+      console.error('Failed to save tracks to storage:', error);
       return false;
     }
   }
 
   static getTracks() {
     try {
-      const serializedTracks = localStorage.getItem(STORAGE_KEYS.TRACKS);
+      const serializedTracks = activeAdapter.getItem(STORAGE_KEYS.TRACKS);
       if (!serializedTracks) return [];
       return JSON.parse(serializedTracks);
     } catch (error) {
-      console.error('Failed to retrieve tracks from localStorage:', error);
+      console.error('Failed to retrieve tracks from storage:', error);
       return [];
     }
   }
@@ -34,14 +456,10 @@ class storageService {
   static addTrack(track) {
     try {
       const tracks = this.getTracks();
-      const newTrack = {
-        id: Date.now().toString(),
-        name: track.name,
-        size: track.size,
-        duration: track.duration || 0,
-        dateAdded: new Date().toISOString(),
+      const newTrack = normalizeTrack({
+        id: generateId(),
         ...track
-      };
+      });
       tracks.push(newTrack);
       this.saveTracks(tracks);
       return newTrack;
@@ -56,12 +474,14 @@ class storageService {
       const tracks = this.getTracks();
       const filteredTracks = tracks.filter(track => track.id !== trackId);
       this.saveTracks(filteredTracks);
+      this.deleteLyrics([trackId]);
       
-      // Clean up track data URL if it exists
-      const removedTrack = tracks.find(track => track.id === trackId);
-      if (removedTrack && removedTrack.url && removedTrack.url.startsWith('blob:')) {
-        URL.revokeObjectURL(removedTrack.url);
-      }
+      audioStore.delete(trackId).catch(error => {
+        console.error('Failed to remove track audio:', error);
+      });
+      this.pruneOrphanedArtwork().catch(error => {
+        console.error('Failed to remove album art:', error);
+      });
       
       return true;
     } catch (error) {
@@ -86,10 +506,116 @@ class storageService {
     }
   }
 
+  // Trash: deleted tracks keep their audio until purged
+  static getTrash() {
+    try {
+      const serializedTrash = activeAdapter.getItem(STORAGE_KEYS.TRASH);
+      return serializedTrash ? JSON.parse(serializedTrash) : [];
+    } catch (error) {
+      console.error('Failed to get trash:', error);
+      return [];
+    }
+  }
+
+  static saveTrash(trash) {
+    try {
+      this.setItem(STORAGE_KEYS.TRASH, JSON.stringify(trash.map(track => this.toTrackRecord(track))));
+      return true;
+    } catch (error) {
+      console.error('Failed to save trash:', error);
+      return false;
+    }
+  }
+
+  static moveToTrash(trackId) {
+    try {
+      const tracks = this.getTracks();
+      const track = tracks.find(item => item.id === trackId);
+      if (!track) return null;
+
+      const trashedTrack = { ...this.toTrackRecord(track), deletedAt: new Date().toISOString() };
+      if (!this.saveTrash([trashedTrack, ...this.getTrash()])) return null;
+
+      this.saveTracks(tracks.filter(item => item.id !== trackId));
+      return trashedTrack;
+    } catch (error) {
+      console.error('Failed to move track to trash:', error);
+      return null;
+    }
+  }
+
+  static restoreFromTrash(trackId) {
+    try {
+      const trash = this.getTrash();
+      const trashedTrack = trash.find(track => track.id === trackId);
+      if (!trashedTrack) return null;
+
+      const restoredTrack = { ...trashedTrack };
+      delete restoredTrack.deletedAt;
+
+      this.saveTracks([...this.getTracks(), restoredTrack]);
+      this.saveTrash(trash.filter(track => track.id !== trackId));
+      return restoredTrack;
+    } catch (error) {
+      console.error('Failed to restore track:', error);
+      return null;
+    }
+  }
+
+  static deleteFromTrash(trackIds) {
+    try {
+      const ids = new Set(Array.isArray(trackIds) ? trackIds : [trackIds]);
+      this.saveTrash(this.getTrash().filter(track => !ids.has(track.id)));
+      this.deleteLyrics([...ids]);
+
+      ids.forEach(id => {
+        audioStore.delete(id).catch(error => {
+          console.error('Failed to remove track audio:', error);
+        });
+      });
+      this.pruneOrphanedArtwork().catch(error => {
+        console.error('Failed to remove album art:', error);
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Failed to delete from trash:', error);
+      return false;
+    }
+  }
+
+  static emptyTrash() {
+    return this.deleteFromTrash(this.getTrash().map(track => track.id));
+  }
+
+  static getTrashRetentionDays() {
+    const { trashRetentionDays } = this.getSettings();
+    return trashRetentionDays === undefined ? DEFAULT_TRASH_RETENTION_DAYS : trashRetentionDays;
+  }
+
+  // Permanently deletes trashed tracks older than the retention period (0 = keep forever)
+  static purgeTrash(retentionDays = this.getTrashRetentionDays()) {
+    if (!retentionDays) return [];
+
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    const expiredIds = this.getTrash()
+      .filter(track => Date.parse(track.deletedAt) < cutoff)
+      .map(track => track.id);
+
+    if (expiredIds.length > 0) {
+      this.deleteFromTrash(expiredIds);
+    }
+    return expiredIds;
+  }
+
   // Current track state
   static saveCurrentTrack(trackId) {
     try {
-      localStorage.setItem(STORAGE_KEYS.CURRENT_TRACK, trackId);
+      if (trackId === null || trackId === undefined) {
+        this.removeItem(STORAGE_KEYS.CURRENT_TRACK);
+      } else {
+        this.setItem(STORAGE_KEYS.CURRENT_TRACK, trackId);
+      }
       return true;
     } catch (error) {
       console.error('Failed to save current track:', error);
@@ -99,17 +625,51 @@ class storageService {
 
   static getCurrentTrack() {
     try {
-      return localStorage.getItem(STORAGE_KEYS.CURRENT_TRACK);
+      return activeAdapter.getItem(STORAGE_KEYS.CURRENT_TRACK);
     } catch (error) {
       console.error('Failed to get current track:', error);
       return null;
     }
   }
 
+  // Playback session (restored paused on the next load)
+  static saveSession({ trackId = null, currentTime = 0, queue = [], isPlaying = false }) {
+    try {
+      const session = {
+        trackId,
+        currentTime: Number.isFinite(currentTime) ? currentTime : 0,
+        queue,
+        isPlaying,
+        savedAt: new Date().toISOString()
+      };
+      this.setItem(STORAGE_KEYS.SESSION, JSON.stringify(session));
+      if (trackId !== this.getCurrentTrack()) {
+        this.saveCurrentTrack(trackId);
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to save session:', error);
+      return false;
+    }
+  }
+
+  static getSession() {
+    const emptySession = { trackId: this.getCurrentTrack(), currentTime: 0, queue: [], isPlaying: false };
+
+    try {
+      const serializedSession = activeAdapter.getItem(STORAGE_KEYS.SESSION);
+      if (!serializedSession) return emptySession;
+      return { ...emptySession, ...JSON.parse(serializedSession) };
+    } catch (error) {
+      console.error('Failed to get session:', error);
+      return emptySession;
+    }
+  }
+
   // Volume settings
   static saveVolume(volume) {
     try {
-      localStorage.setItem(STORAGE_KEYS.VOLUME, volume.toString());
+      this.setItem(STORAGE_KEYS.VOLUME, volume.toString());
       return true;
     } catch (error) {
       console.error('Failed to save volume:', error);
@@ -119,7 +679,7 @@ class storageService {
 
   static getVolume() {
     try {
-      const volume = localStorage.getItem(STORAGE_KEYS.VOLUME);
+      const volume = activeAdapter.getItem(STORAGE_KEYS.VOLUME);
       return volume !== null ? parseFloat(volume) : 0.7; // Default volume 70%
     } catch (error) {
       console.error('Failed to get volume:', error);
@@ -127,11 +687,43 @@ class storageService {
     }
   }
 
+  // App settings
+  static saveSettings(settings) {
+    try {
+      const merged = { ...this.getSettings(), ...settings };
+      this.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(merged));
+      return true;
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      return false;
+    }
+  }
+
+  // Patterns that fill in tags from file names and folders, tried in order
+  static getFilenamePatterns() {
+    const { filenamePatterns } = this.getSettings();
+    return Array.isArray(filenamePatterns) ? filenamePatterns : DEFAULT_FILENAME_PATTERNS;
+  }
+
+  static saveFilenamePatterns(patterns) {
+    return this.saveSettings({ filenamePatterns: patterns });
+  }
+
+  static getSettings() {
+    try {
+      const serializedSettings = activeAdapter.getItem(STORAGE_KEYS.SETTINGS);
+      return serializedSettings ? JSON.parse(serializedSettings) : {};
+    } catch (error) {
+      console.error('Failed to get settings:', error);
+      return {};
+    }
+  }
+
   // Playlist state (shuffle, repeat, etc.)
   static savePlaylistState(state) {
     try {
       const serializedState = JSON.stringify(state);
-      localStorage.setItem(STORAGE_KEYS.PLAYLIST_STATE, serializedState);
+      this.setItem(STORAGE_KEYS.PLAYLIST_STATE, serializedState);
       return true;
     } catch (error) {
       console.error('Failed to save playlist state:', error);
@@ -141,7 +733,7 @@ class storageService {
 
   static getPlaylistState() {
     try {
-      const serializedState = localStorage.getItem(STORAGE_KEYS.PLAYLIST_STATE);
+      const serializedState = activeAdapter.getItem(STORAGE_KEYS.PLAYLIST_STATE);
       if (!serializedState) {
         return {
           shuffle: false,
@@ -161,40 +753,545 @@ class storageService {
   }
 
   // File handling utilities
-  static async saveFileAsBlob(file) {
-    try {
-      const arrayBuffer = await file.arrayBuffer();
-      const blob = new Blob([arrayBuffer], { type: file.type });
-      const url = URL.createObjectURL(blob);
-      
+  // path is the file's location relative to an imported folder, if any
+  // handle, when the file came from the directory picker, lets the track reopen the original
+  // Embedded tags, cover art, chapters and stream info (duration, sample rate, channels,
+  // bitrate) are read here so the library shows them before the track is played
+  // Tags the file doesn't carry are taken from its name and folders where a pattern fits
+  // cueSheet, from matchCueSheet, splits the file into virtual tracks
+  static async createTrackFromFile(file, { hash, path, handle, lyricsFile, cueSheet } = {}) {
+    const id = generateId();
+    const { tags: embeddedTags, cover, lyrics, chapters, stream } = await readEmbeddedMetadata(file);
+    const tags = { ...inferTagsFromPath(path || file.name, this.getFilenamePatterns()).tags, ...embeddedTags };
+    await this.persistAudio(id, file);
+    if (handle) {
+      await this.saveFileHandle(id, handle);
+    }
+    await this.saveTrackLyrics(id, lyricsFile, lyrics);
+
+    return normalizeTrack(applyCueSheet({
+      ...tags,
+      ...stream,
+      artworkId: await this.saveArtwork(cover, tags),
+      chapters: chapters.length > 0 ? chapters : undefined,
+      id,
+      name: tags.title || file.name.replace(/\.[^/.]+$/, ''),
+      fileName: file.name,
+      relativePath: path || undefined,
+      duration: stream.duration || 0,
+      size: file.size,
+      type: file.type,
+      hash,
+      addedAt: new Date().toISOString()
+    }, cueSheet));
+  }
+
+  // Swaps a track's audio for a new file, keeping its id and place in the library
+  static async replaceTrackAudio(track, file, { hash, path, handle, lyricsFile, cueSheet } = {}) {
+    const { tags: embeddedTags, cover, lyrics, chapters, stream } = await readEmbeddedMetadata(file);
+    const tags = {
+      ...inferTagsFromPath(path || track.relativePath || file.name, this.getFilenamePatterns()).tags,
+      ...embeddedTags
+    };
+    await this.persistAudio(track.id, file);
+    if (handle) {
+      await this.saveFileHandle(track.id, handle);
+    }
+    await this.saveTrackLyrics(track.id, lyricsFile, lyrics);
+
+    // The old file's tags, cover art, stream info, chapters and cue points go with it
+    const untagged = { ...track };
+    [...TAG_FIELDS, ...STREAM_FIELDS].forEach(field => delete untagged[field]);
+    delete untagged.artworkId;
+    delete untagged.originalArtworkId;
+    delete untagged.artworkEdited;
+    delete untagged.cueTracks;
+    delete untagged.chapters;
+
+    return normalizeTrack(applyCueSheet({
+      ...untagged,
+      ...tags,
+      ...stream,
+      artworkId: await this.saveArtwork(cover, tags),
+      chapters: chapters.length > 0 ? chapters : undefined,
+      name: tags.title || file.name.replace(/\.[^/.]+$/, ''),
+      fileName: file.name,
+      relativePath: path || track.relativePath,
+      duration: stream.duration || 0,
+      size: file.size,
+      type: file.type,
+      hash
+    }, cueSheet));
+  }
+
+  // Fills tags that tracks already in the library are missing from their file
+  // names. Tracks still named after their file take the inferred title.
+  static applyFilenamePatterns(patterns = this.getFilenamePatterns()) {
+    let updated = 0;
+    const tracks = this.getTracks().map(track => {
+      // Only imported files have a name to go on
+      if (!track.fileName) return track;
+      const path = track.relativePath || track.fileName;
+
+      const { tags } = inferTagsFromPath(path, patterns);
+      const missing = Object.fromEntries(
+        Object.entries(tags).filter(([field]) => track[field] === undefined)
+      );
+      if (Object.keys(missing).length === 0) return track;
+
+      updated++;
+      const isFileName = track.name === track.fileName.replace(/\.[^/.]+$/, '');
       return {
-        url,
-        name: file.name,
-        size: file.size,
-        type: file.type
+        ...track,
+        ...missing,
+        name: isFileName && missing.title ? missing.title : track.name
       };
+    });
+
+    if (updated > 0 && !this.saveTracks(tracks)) return 0;
+    return updated;
+  }
+
+  // Lyrics (LRC or plain text) by track id. They can run to several kilobytes
+  // each, so they're kept apart from the track records that load on every change.
+  static getAllLyrics() {
+    try {
+      const serializedLyrics = activeAdapter.getItem(STORAGE_KEYS.LYRICS);
+      return serializedLyrics ? JSON.parse(serializedLyrics) : {};
+    } catch (error) {
+      console.error('Failed to get lyrics:', error);
+      return {};
+    }
+  }
+
+  static saveAllLyrics(lyrics) {
+    try {
+      this.setItem(STORAGE_KEYS.LYRICS, JSON.stringify(lyrics));
+      return true;
     } catch (error) {
-      console.error('Failed to save file as blob:', error);
+      console.error('Failed to save lyrics:', error);
+      return false;
+    }
+  }
+
+  static getLyrics(trackId) {
+    return this.getAllLyrics()[trackId] || null;
+  }
+
+  // Empty text removes the track's lyrics
+  static saveLyrics(trackId, text) {
+    const lyrics = this.getAllLyrics();
+    const value = (text || '').trim().slice(0, MAX_LYRICS_LENGTH);
+    if (value) {
+      lyrics[trackId] = value;
+    } else {
+      delete lyrics[trackId];
+    }
+    return this.saveAllLyrics(lyrics);
+  }
+
+  static deleteLyrics(trackIds) {
+    const lyrics = this.getAllLyrics();
+    const ids = trackIds.filter(id => lyrics[id] !== undefined);
+    if (ids.length === 0) return true;
+
+    ids.forEach(id => delete lyrics[id]);
+    return this.saveAllLyrics(lyrics);
+  }
+
+  // A sidecar .lrc file wins over lyrics embedded in the audio; with neither,
+  // existing lyrics are left alone
+  static async saveTrackLyrics(trackId, lyricsFile, embeddedLyrics) {
+    let text = embeddedLyrics;
+    if (lyricsFile) {
+      try {
+        text = await lyricsFile.text();
+      } catch (error) {
+        console.error('Failed to read lyrics file:', lyricsFile.name, error);
+      }
+    }
+    if (text) this.saveLyrics(trackId, text);
+  }
+
+  // Matches loose .lrc files to library tracks: same path first, then the same
+  // file name when only one track has it
+  static async importLyricsFiles(items, tracks = this.getTracks()) {
+    const fileNameOf = (path) => path.slice(path.lastIndexOf('/') + 1);
+    const trackPaths = tracks
+      .map(track => ({ track, path: track.relativePath || track.fileName || '' }))
+      .filter(candidate => candidate.path);
+    const matched = [];
+    const unmatched = [];
+
+    for (const entry of items.map(toUploadEntry)) {
+      let match = findSidecarFile(entry, trackPaths);
+      if (!match) {
+        const byName = { path: fileNameOf(entry.path || entry.file.name) };
+        const sameName = trackPaths.filter(candidate => findSidecarFile(byName, [{ path: fileNameOf(candidate.path) }]));
+        if (sameName.length === 1) [match] = sameName;
+      }
+
+      let saved = false;
+      if (match) {
+        try {
+          saved = this.saveLyrics(match.track.id, await entry.file.text());
+        } catch (error) {
+          console.error('Failed to read lyrics file:', entry.file.name, error);
+        }
+      }
+
+      if (saved) {
+        matched.push(match.track.id);
+      } else {
+        unmatched.push(entry.file.name);
+      }
+    }
+
+    return { matched, unmatched };
+  }
+
+  // Parsed .cue files with their paths; sheets without audio tracks are left out
+  static async readCueSheets(items) {
+    const sheets = [];
+    for (const entry of items.map(toUploadEntry)) {
+      try {
+        const sheet = parseCueSheet(await entry.file.text());
+        if (sheet.files.length > 0) {
+          sheets.push({ path: entry.path || entry.file.name, name: entry.file.name, sheet });
+        }
+      } catch (error) {
+        console.error('Failed to read cue sheet:', entry.file.name, error);
+      }
+    }
+    return sheets;
+  }
+
+  // Splits library tracks with loose .cue files, matched like matchCueSheet does
+  // for files uploaded together
+  static applyCueSheets(sheets, tracks = this.getTracks()) {
+    const matched = [];
+    const usedSheets = new Set();
+    const updatedTracks = tracks.map(track => {
+      const path = track.relativePath || track.fileName;
+      const entry = path && sheets.find(candidate => matchCueSheet(path, [candidate]));
+      if (!entry) return track;
+
+      const updated = applyCueSheet({ ...track, cueTracks: undefined }, matchCueSheet(path, [entry]));
+      if (!updated.cueTracks) return track;
+
+      matched.push(track.id);
+      usedSheets.add(entry);
+      return updated;
+    });
+
+    if (matched.length > 0 && !this.saveTracks(updatedTracks)) {
+      return { matched: [], unmatched: sheets.map(entry => entry.name) };
+    }
+    return { matched, unmatched: sheets.filter(entry => !usedSheets.has(entry)).map(entry => entry.name) };
+  }
+
+  // Tag editor changes for one or more tracks. Empty strings clear a field;
+  // artwork is an image Blob, null to remove the art, or undefined to leave it
+  static async updateTrackTags(trackIds, changes, { artwork } = {}) {
+    const ids = new Set(trackIds.map(String));
+    const fields = Object.entries(changes).filter(([field]) => TAG_FIELDS.includes(field));
+
+    const artworkId = artwork ? await this.saveArtwork(artwork) : undefined;
+    if (artwork && !artworkId) return 0;
+    const originalArtworkId = artwork ? await this.saveOriginalArtwork(artwork) : undefined;
+
+    let updated = 0;
+    const tracks = this.getTracks().map(track => {
+      if (!ids.has(String(track.id))) return track;
+
+      updated++;
+      const next = { ...track };
+      fields.forEach(([field, value]) => {
+        if (value === '' || value === null || value === undefined) {
+          delete next[field];
+        } else {
+          next[field] = value;
+        }
+      });
+
+      if (changes.title !== undefined) {
+        next.name = changes.title || (track.fileName || track.name).replace(/\.[^/.]+$/, '');
+      }
+
+      // Exports embed the edited art instead of whatever the file carries
+      if (artwork !== undefined) {
+        next.artworkEdited = true;
+        if (artworkId) {
+          next.artworkId = artworkId;
+          next.originalArtworkId = originalArtworkId;
+        } else {
+          delete next.artworkId;
+          delete next.originalArtworkId;
+        }
+      }
+      return next;
+    });
+
+    if (updated === 0 || !this.saveTracks(tracks)) return 0;
+
+    if (artwork !== undefined) {
+      this.pruneOrphanedArtwork().catch(error => {
+        console.error('Failed to remove album art:', error);
+      });
+    }
+    return updated;
+  }
+
+  // A copy of the stored file carrying the track's current tags. Edited art is
+  // embedded full size (the thumbnail for art edited before originals were
+  // kept); otherwise the file keeps its own pictures
+  static async createTaggedCopy(track) {
+    const audio = await audioStore.get(track.id);
+    if (!audio) throw new Error('The audio for this track is not stored');
+
+    const tags = Object.fromEntries(TAG_FIELDS.map(field => [field, track[field]]));
+    tags.title = track.title || track.name;
+
+    let picture;
+    if (track.artworkEdited) {
+      picture = track.artworkId ? await artworkStore.get(track.originalArtworkId || track.artworkId) : null;
+    }
+
+    return writeTags(audio, tags, { picture });
+  }
+
+  // Cover art is stored once per album: tracks tagged with the same album share
+  // one thumbnail. Untagged tracks are keyed by the image itself.
+  static async saveArtwork(cover, tags = {}) {
+    if (!cover) return undefined;
+
+    try {
+      const albumKey = getAlbumKey(tags);
+      const artworkId = this.isEncrypted()
+        ? await this.findAlbumArtworkId(albumKey) || createRandomArtworkId()
+        : `${albumKey ? 'album' : 'image'}-${(await hashFile(albumKey ? new Blob([albumKey]) : cover)).slice(0, 32)}`;
+      if (albumKey) albumArtworkIds.set(albumKey, artworkId);
+
+      if (!await artworkStore.has(artworkId)) {
+        await artworkStore.put(artworkId, await artworkStore.createThumbnail(cover));
+      }
+      return artworkId;
+    } catch (error) {
+      // Tracks work fine without art
+      console.error('Failed to save album art:', error);
+      return undefined;
+    }
+  }
+
+  // Art picked in the tag editor, stored as it is so exports don't embed the
+  // thumbnail. Identical images share one copy.
+  static async saveOriginalArtwork(image) {
+    const artworkId = this.isEncrypted()
+      ? createRandomArtworkId()
+      : `original-${(await hashFile(image)).slice(0, 32)}`;
+
+    if (!await artworkStore.has(artworkId)) {
+      await artworkStore.put(artworkId, image);
+    }
+    return artworkId;
+  }
+
+  // Artwork keys are plain in IndexedDB, so an encrypted library can't derive
+  // them from the album. Its tracks share an album's random id instead.
+  static async findAlbumArtworkId(albumKey) {
+    if (!albumKey) return null;
+
+    const candidates = [
+      albumArtworkIds.get(albumKey),
+      ...this.getTracks()
+        .filter(track => !track.artworkEdited && getAlbumKey(track) === albumKey)
+        .map(track => track.artworkId)
+    ];
+    for (const artworkId of new Set(candidates.filter(Boolean))) {
+      if (await artworkStore.has(artworkId)) return artworkId;
+    }
+    return null;
+  }
+
+  // Moves album- and image-hash artwork to random ids, for libraries that are
+  // (or are becoming) encrypted
+  static async replaceDerivedArtworkIds() {
+    const derivedIds = (await artworkStore.keys()).filter(id => !isRandomArtworkId(id));
+    if (derivedIds.length === 0) return 0;
+
+    const nextIds = new Map();
+    for (const id of derivedIds) {
+      const blob = await artworkStore.get(id);
+      if (!blob) continue;
+      const nextId = createRandomArtworkId();
+      await artworkStore.put(nextId, blob);
+      nextIds.set(id, nextId);
+    }
+
+    const remap = track => {
+      const next = { ...track };
+      ARTWORK_FIELDS.forEach(field => {
+        if (nextIds.has(track[field])) next[field] = nextIds.get(track[field]);
+      });
+      return next;
+    };
+    if (!this.saveTracks(this.getTracks().map(remap)) || !this.saveTrash(this.getTrash().map(remap))) {
+      throw new Error('Could not save the new artwork ids');
+    }
+
+    for (const id of derivedIds) {
+      await artworkStore.delete(id);
+    }
+    return nextIds.size;
+  }
+
+  static async getArtworkURL(artworkId) {
+    if (!artworkId) return null;
+
+    try {
+      return await artworkStore.getObjectURL(artworkId);
+    } catch (error) {
+      console.error('Failed to load album art:', error);
       return null;
     }
   }
 
+  // Accepts Files or { file, path } folder entries. Hashes each file and links
+  // it to the track (or earlier file in the same batch) with identical bytes
+  static async findDuplicateUploads(items, existingTracks = this.getTracks()) {
+    const tracksByHash = new Map(
+      existingTracks.filter(track => track.hash).map(track => [track.hash, track])
+    );
+    const batchHashes = new Set();
+    const uploads = [];
+
+    for (const entry of items.map(toUploadEntry)) {
+      const { file } = entry;
+      let hash = null;
+      try {
+        hash = await hashFile(file);
+      } catch (error) {
+        console.error('Failed to hash file:', file.name, error);
+      }
+
+      uploads.push({
+        ...entry,
+        hash,
+        duplicateOf: hash ? tracksByHash.get(hash) || null : null,
+        duplicateInBatch: hash ? batchHashes.has(hash) : false
+      });
+
+      if (hash) batchHashes.add(hash);
+    }
+
+    return uploads;
+  }
+
+  static async saveFileHandle(trackId, handle) {
+    try {
+      await audioStore.putHandle(trackId, handle);
+      return true;
+    } catch (error) {
+      // Some browsers can't store handles; the copied audio still works
+      console.error('Failed to save file handle:', error);
+      return false;
+    }
+  }
+
+  // Tracks with no stored audio, no file handle and no URL of their own
+  static async findMissingTracks(tracks = this.getTracks()) {
+    try {
+      const [audioKeys, handleKeys] = await Promise.all([audioStore.keys(), audioStore.handleKeys()]);
+      const available = new Set([...audioKeys, ...handleKeys].map(String));
+
+      return tracks.filter(track => !available.has(String(track.id)) && !track.data && !track.url);
+    } catch (error) {
+      console.error('Failed to check for missing tracks:', error);
+      return [];
+    }
+  }
+
+  // Matches missing tracks to files in a newly chosen folder by file name and size
+  static async relinkTracks(missingTracks, items) {
+    const entries = items.map(toUploadEntry);
+    const relinked = [];
+    const unmatched = [];
+
+    for (const track of missingTracks) {
+      const fileName = (track.fileName || '').toLowerCase();
+      const entry = entries.find(({ file }) => (
+        file.name.toLowerCase() === fileName && (!track.size || file.size === track.size)
+      ));
+
+      if (!entry) {
+        unmatched.push(track.id);
+        continue;
+      }
+
+      try {
+        await this.persistAudio(track.id, entry.file);
+        if (entry.handle) {
+          await this.saveFileHandle(track.id, entry.handle);
+        }
+        relinked.push(track.id);
+      } catch (error) {
+        console.error('Failed to relink track:', track.name, error);
+        unmatched.push(track.id);
+      }
+    }
+
+    return { relinked, unmatched };
+  }
+
+  // Virtual tracks from a cue sheet play their file's audio
+  static async getTrackURL(track) {
+    try {
+      const url = await audioStore.getObjectURL(getSourceId(track));
+      if (url) return url;
+    } catch (error) {
+      console.error('Failed to load track audio:', error);
+    }
+
+    // Records written before the blob store carry their own URL
+    return track.data || track.url || null;
+  }
+
+  // Stores a track's audio in whichever backend audioStore picked (OPFS or IndexedDB).
+  // Errors are passed on so callers can tell the user the file wasn't saved
+  static async persistAudio(trackId, file) {
+    await audioStore.put(trackId, file);
+    return true;
+  }
+
+  static getAudioBackend() {
+    return audioStore.getBackendName();
+  }
+
   // Storage cleanup utilities
   static clearAllData() {
     try {
-      // Revoke all blob URLs before clearing
-      const tracks = this.getTracks();
-      tracks.forEach(track => {
-        if (track.url && track.url.startsWith('blob:')) {
-          URL.revokeObjectURL(track.url);
-        }
+      // Drop stored audio along with its object URLs
+      audioStore.clear().catch(error => {
+        console.error('Failed to clear stored audio:', error);
+      });
+      artworkStore.clear().catch(error => {
+        console.error('Failed to clear album art:', error);
       });
 
-      // Clear localStorage
+      // Clear stored keys
       Object.values(STORAGE_KEYS).forEach(key => {
-        localStorage.removeItem(key);
+        this.removeItem(key);
       });
 
+      // Encryption settings are gone with everything else, so write plainly again.
+      // While locked the real entries sit behind the placeholder adapter.
+      if (activeAdapter !== baseAdapter) {
+        Object.values(STORAGE_KEYS).forEach(key => baseAdapter.removeItem(key));
+        activeAdapter = baseAdapter;
+        audioStore.setCipher(null);
+        isLibraryLocked = false;
+      }
+
       return true;
     } catch (error) {
       console.error('Failed to clear all data:', error);
@@ -206,7 +1303,7 @@ class storageService {
     try {
       let totalSize = 0;
       Object.values(STORAGE_KEYS).forEach(key => {
-        const item = localStorage.getItem(key);
+        const item = activeAdapter.getItem(key);
         if (item) {
           totalSize += new Blob([item]).size;
         }
@@ -223,6 +1320,67 @@ class storageService {
     }
   }
 
+  // Browser-level quota for the whole origin (blob store included)
+  static async getStorageEstimate() {
+    const metadataBytes = this.getStorageUsage().used;
+    const audioBytes = [...this.getTracks(), ...this.getTrash()]
+      .reduce((total, track) => total + (track.size || 0), 0);
+    const estimate = {
+      usage: metadataBytes + audioBytes,
+      quota: null,
+      persisted: false,
+      supported: false,
+      metadataBytes,
+      audioBytes,
+      audioBackend: audioStore.getBackendName()
+    };
+
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) {
+      return estimate;
+    }
+
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+      return { ...estimate, usage, quota, persisted, supported: true };
+    } catch (error) {
+      console.error('Failed to estimate storage:', error);
+      return estimate;
+    }
+  }
+
+  static async requestPersistentStorage() {
+    if (typeof navigator === 'undefined' || !navigator.storage?.persist) return false;
+
+    try {
+      return await navigator.storage.persist();
+    } catch (error) {
+      console.error('Failed to request persistent storage:', error);
+      return false;
+    }
+  }
+
+  // Checks whether adding `bytes` would run past the quota, keeping some headroom
+  static async checkQuota(bytes, headroom = 0.95) {
+    const estimate = await this.getStorageEstimate();
+    if (!estimate.quota) {
+      return { fits: true, estimate, available: null };
+    }
+
+    const available = Math.max(0, estimate.quota * headroom - estimate.usage);
+    return { fits: bytes <= available, estimate, available };
+  }
+
+  static recordPlay(trackId) {
+    const track = this.getTracks().find(item => item.id === trackId);
+    if (!track) return false;
+
+    return this.updateTrack(trackId, {
+      playCount: (track.playCount || 0) + 1,
+      lastPlayedAt: new Date().toISOString()
+    });
+  }
+
   // Import/Export functionality
   static exportData() {
     try {
@@ -231,6 +1389,9 @@ class storageService {
         currentTrack: this.getCurrentTrack(),
         volume: this.getVolume(),
         playlistState: this.getPlaylistState(),
+        settings: this.getSettings(),
+        lyrics: this.getAllLyrics(),
+        schemaVersion: SCHEMA_VERSION,
         exportDate: new Date().toISOString()
       };
       
@@ -241,20 +1402,301 @@ class storageService {
     }
   }
 
-  static importData(jsonString) {
+  // Imports validate everything first. With dryRun nothing is written and the
+  // report (counts, conflicts, invalid entries) is returned for review.
+  // mode 'replace' swaps the whole library; 'merge' keeps existing tracks and
+  // settings, adds new tracks and takes the imported copy of conflicting ids.
+  static async importData(jsonString, { mode = 'replace', dryRun = false } = {}) {
+    let parsed;
     try {
-      const data = JSON.parse(jsonString);
-      
-      if (data.tracks) this.saveTracks(data.tracks);
-      if (data.currentTrack) this.saveCurrentTrack(data.currentTrack);
-      if (data.volume !== undefined) this.saveVolume(data.volume);
-      if (data.playlistState) this.savePlaylistState(data.playlistState);
-      
-      return true;
+      parsed = JSON.parse(jsonString);
+    } catch (error) {
+      return this.createFailedImportReport(`Not valid JSON: ${error.message}`);
+    }
+
+    const existingTracks = this.getTracks();
+    const { report, data, tracks } = validateLibraryImport(parsed, existingTracks);
+    report.mode = mode;
+    report.applied = false;
+
+    if (dryRun || !report.valid) return report;
+
+    try {
+      const migrated = await runMigrations({ tracks }, data.schemaVersion || 0, { blobStore: audioStore });
+      // The file's schemaVersion is only a claim, so every record is normalised
+      // (string id, fileName, name) whichever migrations ran
+      const importedTracks = migrated.tracks.map(normalizeTrack);
+
+      if (mode === 'merge') {
+        const importedById = new Map(importedTracks.map(track => [String(track.id), track]));
+        const mergedTracks = existingTracks.map(track => importedById.get(String(track.id)) || track);
+        const existingIds = new Set(existingTracks.map(track => String(track.id)));
+        mergedTracks.push(...importedTracks.filter(track => !existingIds.has(String(track.id))));
+
+        if (!this.saveTracks(mergedTracks)) throw new Error('Failed to save tracks');
+        if (data.lyrics) this.saveAllLyrics({ ...this.getAllLyrics(), ...data.lyrics });
+      } else {
+        if (!this.saveTracks(importedTracks)) throw new Error('Failed to save tracks');
+        if (data.currentTrack) this.saveCurrentTrack(data.currentTrack);
+        if (data.volume !== undefined) this.saveVolume(data.volume);
+        if (data.playlistState) this.savePlaylistState(data.playlistState);
+        if (data.settings) this.saveSettings(data.settings);
+        this.saveAllLyrics(data.lyrics || {});
+      }
+
+      report.applied = true;
+      return report;
     } catch (error) {
       console.error('Failed to import data:', error);
-      return false;
+      report.errors.push(error.message);
+      return report;
+    }
+  }
+
+  static createFailedImportReport(message) {
+    return {
+      valid: false,
+      applied: false,
+      errors: [message],
+      counts: { incoming: 0, added: 0, conflicts: 0, invalid: 0, existing: this.getTracks().length },
+      conflicts: [],
+      invalid: []
+    };
+  }
+
+  // Library archives: a manifest.json plus every stored audio file
+  static async exportLibrary() {
+    try {
+      const manifest = JSON.parse(this.exportData());
+      const audioFiles = {};
+      const artworkFiles = {};
+      const audioEntries = [];
+
+      for (const track of manifest.tracks) {
+        const blob = await audioStore.get(track.id);
+        if (!blob) continue;
+
+        const extension = (track.fileName || '').match(/\.[^/.]+$/)?.[0] || '';
+        const path = `audio/${track.id}${extension}`;
+        audioFiles[track.id] = path;
+        audioEntries.push({ path, data: blob });
+      }
+
+      // Shared album art is written once
+      for (const artworkId of new Set(manifest.tracks.flatMap(getArtworkIds))) {
+        const blob = await artworkStore.get(artworkId);
+        if (!blob) continue;
+
+        const path = `artwork/${artworkId}`;
+        artworkFiles[artworkId] = path;
+        audioEntries.push({ path, data: blob });
+      }
+
+      return createArchive([
+        { path: LIBRARY_MANIFEST, data: JSON.stringify({ ...manifest, audioFiles, artworkFiles }, null, 2) },
+        ...audioEntries
+      ]);
+    } catch (error) {
+      console.error('Failed to export library:', error);
+      return null;
+    }
+  }
+
+  // Accepts an exported archive or a plain JSON export, with the same options as importData
+  static async importLibrary(file, options = {}) {
+    const isJson = file.type === 'application/json' || /\.json$/i.test(file.name || '');
+    if (isJson) {
+      return this.importData(await file.text(), options);
+    }
+
+    let files;
+    let manifestText;
+    try {
+      files = await readArchive(file);
+      const manifestFile = files.get(LIBRARY_MANIFEST);
+      if (!manifestFile) {
+        return this.createFailedImportReport('Archive does not contain a library manifest');
+      }
+      manifestText = await manifestFile.text();
+    } catch (error) {
+      return this.createFailedImportReport(`Could not read archive: ${error.message}`);
+    }
+
+    const report = await this.importData(manifestText, { ...options, dryRun: true });
+    if (options.dryRun || !report.valid) return report;
+
+    try {
+      // Audio goes in before the records so imported tracks are playable immediately
+      const { data, tracks } = validateLibraryImport(JSON.parse(manifestText));
+      const audioFiles = data.audioFiles || {};
+      const artworkFiles = data.artworkFiles || {};
+
+      for (const track of tracks) {
+        const audio = files.get(audioFiles[String(track.id)]);
+        if (audio) {
+          await this.persistAudio(String(track.id), new Blob([audio], { type: track.type || '' }));
+        }
+      }
+
+      for (const [artworkId, path] of Object.entries(artworkFiles)) {
+        const image = files.get(path);
+        if (image) {
+          await artworkStore.put(artworkId, image);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to import library audio:', error);
+      report.errors.push(error.message);
+      return report;
+    }
+
+    const result = await this.importData(manifestText, options);
+    if (result.applied && result.mode === 'replace') {
+      await this.pruneOrphanedAudio();
+    }
+    // Archives carry the ids of the library they came from
+    if (result.applied && this.isEncrypted()) {
+      await this.replaceDerivedArtworkIds();
+    }
+    return result;
+  }
+
+  // Deletes stored audio that no track or trash record points at
+  static async pruneOrphanedAudio() {
+    const trackIds = new Set(
+      [...this.getTracks(), ...this.getTrash()].map(track => String(track.id))
+    );
+    const storedIds = await audioStore.keys();
+    const orphanedIds = storedIds.filter(id => !trackIds.has(String(id)));
+
+    for (const id of orphanedIds) {
+      await audioStore.delete(id);
+    }
+    await this.pruneOrphanedArtwork();
+
+    return orphanedIds.length;
+  }
+
+  // Album art stays while any track or trash record still uses it
+  static async pruneOrphanedArtwork() {
+    const artworkIds = new Set(
+      [...this.getTracks(), ...this.getTrash()].flatMap(getArtworkIds)
+    );
+    const orphanedIds = (await artworkStore.keys()).filter(id => !artworkIds.has(id));
+
+    for (const id of orphanedIds) {
+      await artworkStore.delete(id);
+    }
+
+    return orphanedIds.length;
+  }
+
+  // Library health: scan for broken records, then fix them one category at a time
+  static async checkLibrary() {
+    const tracks = this.getTracks();
+    let audioKeys = [];
+    let handleKeys = [];
+    try {
+      [audioKeys, handleKeys] = await Promise.all([audioStore.keys(), audioStore.handleKeys()]);
+    } catch (error) {
+      console.error('Failed to list stored audio:', error);
+    }
+
+    return scanLibrary(tracks, { audioKeys, handleKeys, trash: this.getTrash() });
+  }
+
+  // Reads the stream info from the stored file's headers, falling back to
+  // loading the track's metadata in an audio element
+  static async repairDurations(trackIds) {
+    const ids = new Set(trackIds.map(String));
+    const repaired = [];
+    const failed = [];
+
+    for (const track of this.getTracks().filter(item => ids.has(String(item.id)))) {
+      let stream = {};
+      try {
+        const audio = await audioStore.get(track.id);
+        if (audio) stream = (await readEmbeddedMetadata(audio)).stream;
+      } catch (error) {
+        console.error('Failed to read stream info:', track.name, error);
+      }
+
+      if (!stream.duration) {
+        const url = await this.getTrackURL(track);
+        const duration = url ? await probeDuration(url) : null;
+        if (duration) stream = { duration };
+      }
+
+      if (stream.duration && this.updateTrack(track.id, stream)) {
+        repaired.push(track.id);
+      } else {
+        failed.push(track.id);
+      }
+    }
+
+    return { repaired, failed };
+  }
+
+  // Sets an audio MIME type from the file extension where the stored one isn't audio
+  static async repairTrackTypes() {
+    const report = await this.checkLibrary();
+    const fixes = new Map(
+      report.issues[HEALTH_ISSUES.INVALID_TYPE]
+        .filter(issue => issue.suggestedType)
+        .map(issue => [issue.index, issue.suggestedType])
+    );
+    if (fixes.size === 0) return 0;
+
+    const tracks = this.getTracks().map((track, index) => (
+      fixes.has(index) ? { ...track, type: fixes.get(index) } : track
+    ));
+    return this.saveTracks(tracks) ? fixes.size : 0;
+  }
+
+  // Gives every record after the first with the same id a fresh one, copying
+  // the shared audio so each record keeps playing on its own
+  static async regenerateDuplicateIds() {
+    const seenIds = new Set();
+    const renamed = [];
+    const failed = [];
+    const tracks = [];
+
+    for (const track of this.getTracks()) {
+      const id = String(track.id);
+      if (!seenIds.has(id)) {
+        seenIds.add(id);
+        tracks.push(track);
+        continue;
+      }
+
+      const newId = generateId();
+      try {
+        const audio = await audioStore.get(id);
+        if (audio) {
+          await this.persistAudio(newId, audio);
+        }
+        const handle = await audioStore.getHandle(id);
+        if (handle) {
+          await audioStore.putHandle(newId, handle);
+        }
+      } catch (error) {
+        // Renamed without its audio, the record would only turn up as missing audio
+        console.error('Failed to copy audio for duplicate id:', track.name, error);
+        await audioStore.delete(newId).catch(() => {});
+        tracks.push(track);
+        failed.push(id);
+        continue;
+      }
+
+      seenIds.add(newId);
+      tracks.push({ ...track, id: newId });
+      renamed.push({ from: id, to: newId });
+    }
+
+    if (renamed.length > 0 && !this.saveTracks(tracks)) {
+      return { renamed: [], failed: [...failed, ...renamed.map(({ from }) => from)] };
     }
+    return { renamed, failed };
   }
 }
 
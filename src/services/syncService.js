@@ -0,0 +1,161 @@
+// Cross-tab synchronisation of library writes and playback ownership
+import storageService, { STORAGE_KEYS } from './storageService';
+import { generateId } from '../utils/helpers';
+
+const CHANNEL_NAME = 'audioPlayer_sync';
+// Used as a transport when BroadcastChannel is missing; never read back
+const FALLBACK_KEY = 'audioPlayer_syncMessage';
+
+export const SYNC_EVENTS = {
+  STORAGE_CHANGED: 'storage-changed',
+  PLAYBACK_CLAIMED: 'playback-claimed',
+  PLAYBACK_RELEASED: 'playback-released'
+};
+
+class SyncService {
+  constructor() {
+    this.tabId = generateId();
+    this.channel = null;
+    this.listeners = new Set();
+    this.isStarted = false;
+    this.ownsPlayback = false;
+    // { tabId, trackName } of the tab currently playing elsewhere, if any
+    this.remotePlayback = null;
+    this.unsubscribeStorage = null;
+
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleStorageEvent = this.handleStorageEvent.bind(this);
+    this.handlePageHide = this.handlePageHide.bind(this);
+  }
+
+  start() {
+    if (this.isStarted) return;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = (event) => this.handleMessage(event.data);
+    } else {
+      window.addEventListener('storage', this.handleStorageEvent);
+    }
+
+    // Forward this tab's writes to the others
+    this.unsubscribeStorage = storageService.subscribe(({ key, value, origin }) => {
+      if (origin === 'local') {
+        this.post({
+          type: SYNC_EVENTS.STORAGE_CHANGED,
+          key,
+          value,
+          profileId: storageService.getActiveProfileId()
+        });
+      }
+    });
+
+    window.addEventListener('pagehide', this.handlePageHide);
+    this.isStarted = true;
+  }
+
+  stop() {
+    if (!this.isStarted) return;
+
+    this.releasePlayback();
+    this.unsubscribeStorage?.();
+    this.channel?.close();
+    this.channel = null;
+    window.removeEventListener('storage', this.handleStorageEvent);
+    window.removeEventListener('pagehide', this.handlePageHide);
+    this.isStarted = false;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Playback ownership: only one tab plays at a time
+  claimPlayback(trackName) {
+    this.ownsPlayback = true;
+    this.remotePlayback = null;
+    this.post({ type: SYNC_EVENTS.PLAYBACK_CLAIMED, trackName });
+  }
+
+  releasePlayback() {
+    if (!this.ownsPlayback) return;
+
+    this.ownsPlayback = false;
+    this.post({ type: SYNC_EVENTS.PLAYBACK_RELEASED });
+  }
+
+  getRemotePlayback() {
+    return this.remotePlayback;
+  }
+
+  post(message) {
+    if (!this.isStarted) return;
+
+    const envelope = { ...message, tabId: this.tabId, sentAt: Date.now() };
+
+    try {
+      if (this.channel) {
+        this.channel.postMessage(envelope);
+      } else {
+        // The fallback goes through localStorage, which would leave decrypted
+        // values at rest; encrypted libraries only share the encryption switch
+        if (message.type === SYNC_EVENTS.STORAGE_CHANGED && storageService.isEncrypted()
+          && message.key !== STORAGE_KEYS.ENCRYPTION) {
+          return;
+        }
+        // storage events only fire when the value changes, hence the id
+        localStorage.setItem(FALLBACK_KEY, JSON.stringify({ ...envelope, nonce: generateId() }));
+      }
+    } catch (error) {
+      console.error('Failed to send sync message:', error);
+    }
+  }
+
+  handleStorageEvent(event) {
+    if (event.key !== FALLBACK_KEY || !event.newValue) return;
+
+    try {
+      this.handleMessage(JSON.parse(event.newValue));
+    } catch (error) {
+      console.error('Failed to read sync message:', error);
+    }
+  }
+
+  handleMessage(message) {
+    if (!message || message.tabId === this.tabId) return;
+
+    switch (message.type) {
+      case SYNC_EVENTS.STORAGE_CHANGED:
+        storageService.applyRemoteChange(message.key, message.value, message.profileId);
+        break;
+      case SYNC_EVENTS.PLAYBACK_CLAIMED:
+        this.ownsPlayback = false;
+        this.remotePlayback = { tabId: message.tabId, trackName: message.trackName };
+        break;
+      case SYNC_EVENTS.PLAYBACK_RELEASED:
+        if (this.remotePlayback?.tabId !== message.tabId) return;
+        this.remotePlayback = null;
+        break;
+      default:
+        return;
+    }
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(message);
+      } catch (error) {
+        console.error('Sync listener failed:', error);
+      }
+    });
+  }
+
+  handlePageHide() {
+    this.releasePlayback();
+  }
+}
+
+// Create singleton instance
+const syncService = new SyncService();
+
+export default syncService;
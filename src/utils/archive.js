@@ -0,0 +1,121 @@
+// Minimal ustar (tar) reader and writer for library archives.
+// Entries are assembled from Blob slices so audio is never copied into memory.
+
+const BLOCK_SIZE = 512;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const writeString = (header, offset, length, value) => {
+  const bytes = encoder.encode(value);
+  header.set(bytes.subarray(0, length), offset);
+};
+
+const writeOctal = (header, offset, length, value) => {
+  // Octal digits padded with zeros, terminated by NUL
+  writeString(header, offset, length, value.toString(8).padStart(length - 1, '0') + '\0');
+};
+
+const readString = (header, offset, length) => {
+  const end = header.indexOf(0, offset);
+  const slice = header.subarray(offset, end === -1 || end > offset + length ? offset + length : end);
+  return decoder.decode(slice);
+};
+
+const readOctal = (header, offset, length) => {
+  const value = readString(header, offset, length).trim();
+  return value ? parseInt(value, 8) : 0;
+};
+
+const splitPath = (path) => {
+  if (encoder.encode(path).length <= 100) return { name: path, prefix: '' };
+
+  const cut = path.lastIndexOf('/', 155);
+  if (cut <= 0 || encoder.encode(path.slice(cut + 1)).length > 100) {
+    throw new Error(`Archive path too long: ${path}`);
+  }
+  return { name: path.slice(cut + 1), prefix: path.slice(0, cut) };
+};
+
+const createHeader = (path, size, mtime) => {
+  const header = new Uint8Array(BLOCK_SIZE);
+  const { name, prefix } = splitPath(path);
+
+  writeString(header, 0, 100, name);
+  writeOctal(header, 100, 8, 0o644);
+  writeOctal(header, 108, 8, 0);
+  writeOctal(header, 116, 8, 0);
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, Math.floor(mtime / 1000));
+  header.fill(0x20, 148, 156); // checksum is computed with its own field as spaces
+  writeString(header, 156, 1, '0');
+  writeString(header, 257, 6, 'ustar\0');
+  writeString(header, 263, 2, '00');
+  writeString(header, 345, 155, prefix);
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  writeString(header, 148, 8, checksum.toString(8).padStart(6, '0') + '\0 ');
+
+  return header;
+};
+
+/**
+ * Build a tar archive
+ * @param {Array<{path: string, data: Blob|string}>} entries - Files to include
+ * @returns {Blob} Archive blob
+ */
+export const createArchive = (entries) => {
+  const parts = [];
+  const mtime = Date.now();
+
+  for (const entry of entries) {
+    const data = typeof entry.data === 'string' ? new Blob([entry.data]) : entry.data;
+    parts.push(createHeader(entry.path, data.size, mtime), data);
+
+    const remainder = data.size % BLOCK_SIZE;
+    if (remainder) {
+      parts.push(new Uint8Array(BLOCK_SIZE - remainder));
+    }
+  }
+
+  // Two empty blocks mark the end of the archive
+  parts.push(new Uint8Array(BLOCK_SIZE * 2));
+  return new Blob(parts, { type: 'application/x-tar' });
+};
+
+/**
+ * Read the regular files from a tar archive
+ * @param {Blob} archive - Archive blob or File
+ * @returns {Promise<Map<string, Blob>>} File contents keyed by path
+ */
+export const readArchive = async (archive) => {
+  const files = new Map();
+  let offset = 0;
+
+  while (offset + BLOCK_SIZE <= archive.size) {
+    const header = new Uint8Array(await archive.slice(offset, offset + BLOCK_SIZE).arrayBuffer());
+    if (header.every(byte => byte === 0)) break;
+
+    const storedChecksum = readOctal(header, 148, 8);
+    const checksum = header.reduce((sum, byte, index) => (
+      sum + (index >= 148 && index < 156 ? 0x20 : byte)
+    ), 0);
+    if (storedChecksum !== checksum) {
+      throw new Error('Invalid archive: header checksum mismatch');
+    }
+
+    const name = readString(header, 0, 100);
+    const prefix = readString(header, 345, 155);
+    const size = readOctal(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const dataStart = offset + BLOCK_SIZE;
+
+    if (type === '0') {
+      files.set(prefix ? `${prefix}/${name}` : name, archive.slice(dataStart, dataStart + size));
+    }
+
+    offset = dataStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+
+  return files;
+};
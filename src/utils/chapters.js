@@ -0,0 +1,53 @@
+// Chapters are { start, title } with start in seconds from the beginning of the
+// file; each one runs until the next starts.
+
+// Going back within this many seconds of a chapter's start skips to the one before
+const RESTART_THRESHOLD = 3;
+
+/**
+ * Chapters that belong to a track. Cue tracks share their file's chapters, so
+ * they only get the ones that start between their own start and end.
+ * @param {Object|null} track - Library or virtual track
+ * @returns {Array<{start: number, title: string}>} The track's chapters by start time
+ */
+export const getTrackChapters = (track) => {
+  const chapters = track?.chapters || [];
+  if (!track?.sourceId) return chapters;
+  return chapters.filter(chapter => chapter.start >= track.start && !(track.end && chapter.start >= track.end));
+};
+
+/**
+ * Find the chapter being played
+ * @param {Array<{start: number}>} chapters - Chapters sorted by start
+ * @param {number} time - Playback position in seconds
+ * @returns {number} Index of the last chapter that has started, or -1 before the first
+ */
+export const findCurrentChapter = (chapters, time) => {
+  let low = 0;
+  let high = chapters.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (chapters[middle].start <= time) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found;
+};
+
+/**
+ * Where "previous chapter" should go: the start of the current chapter, or of
+ * the one before when playback has only just entered the current one
+ * @param {Array<{start: number}>} chapters - Chapters sorted by start
+ * @param {number} time - Playback position in seconds
+ * @returns {number|null} Time to seek to, or null without chapters
+ */
+export const findPreviousChapterStart = (chapters, time) => {
+  if (chapters.length === 0) return null;
+  const index = findCurrentChapter(chapters, time);
+  if (index > 0 && time - chapters[index].start < RESTART_THRESHOLD) return chapters[index - 1].start;
+  return chapters[Math.max(0, index)].start;
+};
@@ -0,0 +1,124 @@
+// WebCrypto helpers for the encrypted library: AES-GCM with a PBKDF2-derived key
+
+const TEXT_PREFIX = 'enc:v1:';
+const BYTES_MAGIC = new TextEncoder().encode('APENC1');
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+
+export const PBKDF2_ITERATIONS = 600000;
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} data - Bytes to encode
+ * @returns {string} Base64 string
+ */
+export const toBase64 = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  let binary = '';
+  // Chunked so large values don't overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Decode a base64 string
+ * @param {string} value - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+export const fromBase64 = (value) => {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+};
+
+/**
+ * Create a random salt for key derivation
+ * @returns {Uint8Array} Salt bytes
+ */
+export const generateSalt = () => crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Salt stored alongside the library
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+export const deriveKey = async (passphrase, salt, iterations = PBKDF2_ITERATIONS) => {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+/**
+ * Check whether bytes carry the encrypted blob header
+ * @param {Uint8Array} bytes - Stored bytes
+ * @returns {boolean} Whether the bytes were written by encryptBytes
+ */
+export const isEncryptedBytes = (bytes) => {
+  return bytes.length > BYTES_MAGIC.length + IV_LENGTH
+    && BYTES_MAGIC.every((byte, index) => bytes[index] === byte);
+};
+
+/**
+ * Check whether a stored string was written by encryptText
+ * @param {string|null} value - Stored value
+ * @returns {boolean} Whether the value is encrypted
+ */
+export const isEncryptedText = (value) => {
+  return typeof value === 'string' && value.startsWith(TEXT_PREFIX);
+};
+
+/**
+ * Bind encrypt/decrypt helpers to a key
+ * @param {CryptoKey} key - AES-GCM key from deriveKey
+ * @returns {Object} Cipher with encryptBytes, decryptBytes, encryptText and decryptText
+ */
+export const createCipher = (key) => {
+  const encrypt = async (plain) => {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plain);
+    const output = new Uint8Array(IV_LENGTH + encrypted.byteLength);
+    output.set(iv);
+    output.set(new Uint8Array(encrypted), IV_LENGTH);
+    return output;
+  };
+
+  const decrypt = (payload) => {
+    return crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: payload.subarray(0, IV_LENGTH) },
+      key,
+      payload.subarray(IV_LENGTH)
+    );
+  };
+
+  return {
+    // Bytes: magic header, IV, then ciphertext with the GCM tag
+    encryptBytes: async (data) => {
+      const payload = await encrypt(data);
+      const output = new Uint8Array(BYTES_MAGIC.length + payload.length);
+      output.set(BYTES_MAGIC);
+      output.set(payload, BYTES_MAGIC.length);
+      return output;
+    },
+    decryptBytes: (data) => decrypt(new Uint8Array(data).subarray(BYTES_MAGIC.length)),
+    // Text: prefix plus base64 of IV and ciphertext
+    encryptText: async (text) => TEXT_PREFIX + toBase64(await encrypt(new TextEncoder().encode(text))),
+    decryptText: async (value) => {
+      const plain = await decrypt(fromBase64(value.slice(TEXT_PREFIX.length)));
+      return new TextDecoder().decode(plain);
+    }
+  };
+};
@@ -0,0 +1,137 @@
+// CUE sheets split one long audio file into tracks. Each TRACK's INDEX 01 is
+// where it starts (mm:ss:ff, 75 frames a second); a track ends where the next
+// one starts, the last at the end of the file. Tracks with cue points are
+// listed and played as virtual tracks that share the file's audio.
+
+const FRAMES_PER_SECOND = 75;
+
+// A quoted value, or the rest of the line
+const readValue = (rest) => {
+  const text = rest.trim();
+  if (!text.startsWith('"')) return text;
+  const end = text.indexOf('"', 1);
+  return end === -1 ? text.slice(1) : text.slice(1, end);
+};
+
+// FILE "name.wav" WAVE: unquoted names run up to the file type
+const readFileName = (rest) => {
+  const text = rest.trim();
+  return text.startsWith('"') ? readValue(text) : text.replace(/\s+\S+$/, '');
+};
+
+const parseCueTime = (value) => {
+  const match = value.trim().match(/^(\d+):(\d{1,2}):(\d{1,2})$/);
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]) + Number(match[3]) / FRAMES_PER_SECOND;
+};
+
+/**
+ * Parse a CUE sheet
+ * @param {string} text - Sheet contents
+ * @returns {{title?: string, performer?: string, genre?: string, year?: string,
+ *   files: Array<{name: string, tracks: Array<{number: number, title?: string,
+ *   performer?: string, start: number}>}>}} Album details and, per referenced file,
+ *   its audio tracks in order with start times in seconds
+ */
+export const parseCueSheet = (text = '') => {
+  const sheet = { files: [] };
+  let file = null;
+  let track = null;
+
+  text.replace(/^\uFEFF/, '').split(/\r\n?|\n/).forEach(raw => {
+    const line = raw.trim();
+    const command = line.split(/\s+/, 1)[0].toUpperCase();
+    const rest = line.slice(command.length);
+    // Album details come before the first TRACK; later ones belong to the track
+    const target = track || sheet;
+
+    if (command === 'FILE') {
+      file = { name: readFileName(rest), tracks: [] };
+      sheet.files.push(file);
+      track = null;
+    } else if (command === 'TRACK') {
+      const [number, type] = rest.trim().split(/\s+/);
+      // Data tracks on mixed-mode discs have no audio to play
+      track = file && (type || '').toUpperCase() === 'AUDIO' ? { number: Number(number) } : null;
+      if (track) file.tracks.push(track);
+    } else if (command === 'INDEX' && track) {
+      const [index, time] = rest.trim().split(/\s+/);
+      // INDEX 00 marks the pregap; the track itself starts at 01
+      if (Number(index) === 1) track.start = parseCueTime(time || '');
+    } else if (command === 'TITLE' || command === 'PERFORMER') {
+      target[command.toLowerCase()] = readValue(rest);
+    } else if (command === 'REM' && !track) {
+      const [, key, value] = rest.trim().match(/^(\S+)\s+(.*)$/) || [];
+      if (key?.toUpperCase() === 'GENRE') sheet.genre = readValue(value);
+      if (key?.toUpperCase() === 'DATE') sheet.year = readValue(value);
+    }
+  });
+
+  sheet.files.forEach(entry => {
+    entry.tracks = entry.tracks.filter(item => item.start !== null && item.start !== undefined);
+  });
+  sheet.files = sheet.files.filter(entry => entry.tracks.length > 0);
+  return sheet;
+};
+
+const baseName = (path) => path.slice(path.lastIndexOf('/') + 1).replace(/\.[^/.]+$/, '').toLowerCase();
+
+/**
+ * Find the part of a sheet that describes an audio file. Sheets name the file
+ * they were ripped to, which is often a WAV that was later encoded, so only the
+ * name without its extension has to match; a sheet named after the audio file
+ * counts too when it covers a single file.
+ * @param {string} audioPath - Path or name of the audio file
+ * @param {Array<{path: string, sheet: Object}>} sheets - Parsed sheets with their own paths
+ * @returns {Object|null} The matching files entry plus the sheet's album details
+ */
+export const matchCueSheet = (audioPath, sheets) => {
+  const folder = audioPath.slice(0, audioPath.lastIndexOf('/') + 1);
+  const name = baseName(audioPath);
+  const inFolder = sheets.filter(({ path }) => path.slice(0, path.lastIndexOf('/') + 1) === folder);
+
+  for (const { sheet } of inFolder) {
+    const file = sheet.files.find(entry => baseName(entry.name.replace(/\\/g, '/')) === name);
+    if (file) return { ...sheet, files: undefined, tracks: file.tracks };
+  }
+
+  const named = inFolder.find(({ path, sheet }) => baseName(path) === name && sheet.files.length === 1);
+  return named ? { ...named.sheet, files: undefined, tracks: named.sheet.files[0].tracks } : null;
+};
+
+/**
+ * Id of the stored track whose audio a track plays
+ * @param {Object} track - Library or virtual track
+ * @returns {string} The file's track id
+ */
+export const getSourceId = (track) => track.sourceId ?? track.id;
+
+/**
+ * Replace tracks that have cue points with one virtual track per cue point
+ * @param {Array<Object>} tracks - Library tracks
+ * @returns {Array<Object>} Playable tracks. Virtual ones carry sourceId, start and
+ *   end (seconds into the file; end is undefined for the last when the file's
+ *   duration is unknown) and an id of the form "<sourceId>:<cue number>"
+ */
+export const expandCueTracks = (tracks) => tracks.flatMap(track => {
+  if (!Array.isArray(track.cueTracks) || track.cueTracks.length === 0) return [track];
+
+  return track.cueTracks.map((cue, index) => {
+    const next = track.cueTracks[index + 1];
+    const end = next ? next.start : track.duration || undefined;
+    return {
+      ...track,
+      cueTracks: undefined,
+      id: `${track.id}:${cue.number}`,
+      sourceId: track.id,
+      name: cue.title || `${track.name} (${cue.number})`,
+      title: cue.title,
+      artist: cue.performer || track.artist,
+      trackNumber: cue.number,
+      trackTotal: track.cueTracks.length,
+      start: cue.start,
+      end,
+      duration: end ? end - cue.start : 0
+    };
+  });
+});
@@ -0,0 +1,83 @@
+// Folder access helpers for importing whole music directories
+
+/**
+ * Check for the File System Access directory picker
+ * @returns {boolean} Whether showDirectoryPicker is available
+ */
+export const isDirectoryPickerSupported = () => {
+  return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+};
+
+/**
+ * Normalise an upload item to a file plus its path relative to the picked folder
+ * @param {File|{file: File, path: string, handle: FileSystemFileHandle}} item - Plain file or folder entry
+ * @returns {{file: File, path: string, handle: FileSystemFileHandle|null}} Upload entry ('' path for loose files)
+ */
+export const toUploadEntry = (item) => {
+  if (item instanceof Blob) {
+    return { file: item, path: item.webkitRelativePath || '', handle: null };
+  }
+  // Extra fields, such as a matched sidecar file, ride along
+  return { ...item, file: item.file, path: item.path || '', handle: item.handle || null };
+};
+
+/**
+ * Recursively collect files below a directory handle
+ * @param {FileSystemDirectoryHandle} directoryHandle - Folder to walk
+ * @param {string} prefix - Path of the folder relative to the picked root
+ * @returns {Promise<Array<{file: File, path: string, handle: FileSystemFileHandle}>>} Files with relative paths
+ */
+export const readDirectoryHandle = async (directoryHandle, prefix = directoryHandle.name) => {
+  const entries = [];
+
+  for await (const handle of directoryHandle.values()) {
+    const path = `${prefix}/${handle.name}`;
+
+    if (handle.kind === 'directory') {
+      entries.push(...await readDirectoryHandle(handle, path));
+    } else {
+      entries.push({ file: await handle.getFile(), path, handle });
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Let the user pick a folder and return every file inside it
+ * @returns {Promise<Array|null>} Folder entries, or null when the picker was dismissed
+ */
+export const pickDirectoryFiles = async () => {
+  try {
+    const directoryHandle = await window.showDirectoryPicker({ mode: 'read' });
+    return await readDirectoryHandle(directoryHandle);
+  } catch (error) {
+    if (error.name === 'AbortError') return null;
+    throw error;
+  }
+};
+
+/**
+ * Folder part of a relative path
+ * @param {string} path - Relative file path such as "Artist/Album/01 Song.mp3"
+ * @returns {string} Folder path ("Artist/Album"), or '' for loose files
+ */
+export const getFolderPath = (path) => {
+  if (!path) return '';
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index);
+};
+
+const stripExtension = (path) => path.replace(/\.[^/.]+$/, '').toLowerCase();
+
+/**
+ * Find the file that sits next to an upload under the same name, such as
+ * "Album/01 Song.lrc" for "Album/01 Song.mp3"
+ * @param {{file: File, path: string}} entry - Upload entry
+ * @param {Array<{file: File, path: string}>} candidates - Other entries from the same import
+ * @returns {{file: File, path: string}|null} The matching entry
+ */
+export const findSidecarFile = (entry, candidates) => {
+  const base = stripExtension(entry.path || entry.file.name);
+  return candidates.find(candidate => stripExtension(candidate.path || candidate.file.name) === base) || null;
+};
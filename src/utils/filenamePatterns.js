@@ -0,0 +1,125 @@
+// Tag inference from file names and folder paths, for files without embedded tags
+import { normalizeTags } from './metadata';
+
+const TEXT = '([^/]+?)';
+
+/**
+ * Placeholders a pattern can use. {track}, {disc} and {year} only match digits;
+ * {ignore} matches text that shouldn't end up in a tag. None of them reach
+ * across folders. {track} takes one or two digits that are zero-padded or
+ * followed by a separator, so names like "99 Luftballons" or "50 Cent - In Da
+ * Club" keep their leading number.
+ */
+export const PATTERN_PLACEHOLDERS = {
+  track: '(0\\d|\\d{1,2}(?=\\s*[-._)]))',
+  disc: '(\\d+)',
+  year: '(\\d{4})',
+  artist: TEXT,
+  albumArtist: TEXT,
+  album: TEXT,
+  title: TEXT,
+  genre: TEXT,
+  ignore: TEXT
+};
+
+export const DEFAULT_FILENAME_PATTERNS = [
+  '{artist}/{album}/{track} - {title}',
+  '{artist}/{album}/{track} {title}',
+  '{track} - {artist} - {title}',
+  '{track} - {title}',
+  '{artist} - {title}',
+  '{track} {title}'
+];
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Literal runs between placeholders; any whitespace matches any amount of it
+const literalToRegExp = (text) => text.split(/\s+/).map(escapeRegExp).join('\\s+');
+
+/**
+ * Check a pattern before it's saved
+ * @param {string} pattern - Pattern such as "{track} - {artist} - {title}"
+ * @returns {string|null} Problem description, or null when the pattern is usable
+ */
+export const validatePattern = (pattern) => {
+  const fields = Array.from(pattern.matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+  if (fields.length === 0) return 'Use at least one placeholder, such as {title}';
+
+  const unknown = fields.find(field => !PATTERN_PLACEHOLDERS[field]);
+  if (unknown) return `Unknown placeholder {${unknown}}`;
+
+  const repeated = fields.find((field, index) => field !== 'ignore' && fields.indexOf(field) !== index);
+  if (repeated) return `{${repeated}} is used twice`;
+
+  if (pattern.startsWith('/') || pattern.endsWith('/')) return 'Patterns can\'t start or end with /';
+  return null;
+};
+
+/**
+ * Turn a pattern into a regular expression
+ * @param {string} pattern - Pattern to compile
+ * @returns {{regExp: RegExp, fields: Array<string>}|null} Matcher plus the field
+ *   each capture group fills, or null for an invalid pattern
+ */
+export const compilePattern = (pattern) => {
+  if (validatePattern(pattern)) return null;
+
+  const fields = [];
+  let source = '';
+  let lastIndex = 0;
+
+  for (const match of pattern.matchAll(PLACEHOLDER_PATTERN)) {
+    source += literalToRegExp(pattern.slice(lastIndex, match.index));
+    source += PATTERN_PLACEHOLDERS[match[1]];
+    fields.push(match[1]);
+    lastIndex = match.index + match[0].length;
+  }
+  source += literalToRegExp(pattern.slice(lastIndex));
+
+  // Patterns with folders match the end of the path, so deeper imports still fit
+  return { regExp: new RegExp(`(?:^|/)${source}$`, 'i'), fields };
+};
+
+/**
+ * Split a path with one pattern
+ * @param {string} pattern - Pattern to apply
+ * @param {string} path - File name or relative path such as "Artist/Album/03 Song.mp3"
+ * @returns {Object|null} Raw values by field name, or null when the pattern doesn't fit
+ */
+export const matchPattern = (pattern, path) => {
+  const compiled = compilePattern(pattern);
+  if (!compiled) return null;
+
+  // Folder patterns need the folders; file name patterns only see the name
+  const withoutExtension = path.replace(/\.[^/.]+$/, '');
+  const subject = pattern.includes('/')
+    ? withoutExtension
+    : withoutExtension.slice(withoutExtension.lastIndexOf('/') + 1);
+
+  const match = subject.match(compiled.regExp);
+  if (!match) return null;
+
+  const values = {};
+  compiled.fields.forEach((field, index) => {
+    const value = match[index + 1].replace(/_/g, ' ').trim();
+    if (field !== 'ignore' && value) values[field] = value;
+  });
+  return values;
+};
+
+/**
+ * Infer tags from a path using the first pattern that fits
+ * @param {string} path - File name or relative path
+ * @param {Array<string>} patterns - Patterns in order of preference
+ * @returns {{tags: Object, pattern: string|null}} Normalised tags and the pattern
+ *   that produced them ({} and null when none fits)
+ */
+export const inferTagsFromPath = (path, patterns = DEFAULT_FILENAME_PATTERNS) => {
+  for (const pattern of patterns) {
+    const values = matchPattern(pattern, path || '');
+    if (values) return { tags: normalizeTags(values), pattern };
+  }
+  return { tags: {}, pattern: null };
+};
@@ -27,8 +27,71 @@ export const generateId = () => {
  * @returns {boolean} Whether file is valid audio
  */
 export const isValidAudioFile = (file) => {
-  const supportedTypes = ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg', 'audio/m4a'];
-  return supportedTypes.includes(file.type) || file.name.match(/\.(mp3|wav|ogg|m4a)$/i);
+  // Folder imports often report an empty type for FLAC/Opus, so fall back to the extension
+  return file.type.startsWith('audio/') || /\.(mp3|wav|ogg|oga|opus|m4a|aac|flac)$/i.test(file.name);
+};
+
+/**
+ * Check for an LRC lyrics file
+ * @param {File} file - File to check
+ * @returns {boolean} Whether the file looks like LRC lyrics
+ */
+export const isLyricsFile = (file) => /\.lrc$/i.test(file.name);
+
+/**
+ * Check for a CUE sheet
+ * @param {File} file - File to check
+ * @returns {boolean} Whether the file looks like a CUE sheet
+ */
+export const isCueFile = (file) => /\.cue$/i.test(file.name);
+
+const AUDIO_MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  opus: 'audio/ogg',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  flac: 'audio/flac'
+};
+
+/**
+ * Guess an audio MIME type from a file name's extension
+ * @param {string} fileName - File name such as "Song.flac"
+ * @returns {string|null} MIME type, or null for unknown extensions
+ */
+export const getAudioMimeType = (fileName) => {
+  const extension = (fileName || '').match(/\.([^/.]+)$/)?.[1]?.toLowerCase();
+  return AUDIO_MIME_TYPES[extension] || null;
+};
+
+/**
+ * Read a track's duration by loading its metadata into a detached audio element
+ * @param {string} url - Playable URL for the track
+ * @param {number} timeout - Milliseconds to wait before giving up
+ * @returns {Promise<number|null>} Duration in seconds, or null if it couldn't be read
+ */
+export const probeDuration = (url, timeout = 10000) => {
+  return new Promise((resolve) => {
+    const audio = new Audio();
+    let timer;
+
+    const finish = (duration) => {
+      clearTimeout(timer);
+      audio.removeAttribute('src');
+      audio.load();
+      resolve(duration);
+    };
+
+    audio.preload = 'metadata';
+    audio.addEventListener('loadedmetadata', () => {
+      finish(Number.isFinite(audio.duration) && audio.duration > 0 ? audio.duration : null);
+    });
+    audio.addEventListener('error', () => finish(null));
+    timer = setTimeout(() => finish(null), timeout);
+    audio.src = url;
+  });
 };
 
 /**
@@ -55,6 +118,20 @@ export const formatFileSize = (bytes) => {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 };
 
+/**
+ * Describe a track's stream info, e.g. "320 kbps · 44.1 kHz · Stereo"
+ * @param {{bitrate?: number, sampleRate?: number, channels?: number}} track - Track record
+ * @returns {string} Known details joined by dots, or '' when none are known
+ */
+export const formatStreamInfo = ({ bitrate, sampleRate, channels } = {}) => {
+  const channelNames = { 1: 'Mono', 2: 'Stereo' };
+  return [
+    bitrate && `${bitrate} kbps`,
+    sampleRate && `${parseFloat((sampleRate / 1000).toFixed(1))} kHz`,
+    channels && (channelNames[channels] || `${channels} ch`)
+  ].filter(Boolean).join(' · ');
+};
+
 /**
  * Create audio buffer from file
  * @param {File} file - Audio file
@@ -76,6 +153,18 @@ export const createAudioBuffer = (file) => {
   });
 };
 
+/**
+ * Compute the SHA-256 digest of a file's bytes
+ * @param {Blob} file - File or blob to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export const hashFile = async (file) => {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
 /**
  * Create object URL from file with cleanup
  * @param {File} file - File to create URL for
@@ -95,6 +184,22 @@ export const revokeObjectURL = (url) => {
   }
 };
 
+/**
+ * Trigger a browser download for a blob
+ * @param {Blob} blob - Content to download
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
 /**
  * Debounce function for performance optimization
  * @param {Function} func - Function to debounce
@@ -0,0 +1,106 @@
+// LRC lyrics: "[mm:ss.xx]Line" with one or more time tags per line, plus
+// header tags such as [ar:Artist] and [offset:+250]. Lines without any time
+// tag make the lyrics unsynced.
+
+const TIME_TAG = /^\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/;
+const HEADER_TAG = /^\[([a-z]+):([^\]]*)\]$/i;
+// Enhanced LRC adds word timings such as <00:12.34>; only line timings are used
+const WORD_TAG = /<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g;
+
+/**
+ * Parse LRC or plain lyrics
+ * @param {string} text - Lyrics file contents
+ * @returns {{synced: boolean, lines: Array<{time: number|null, text: string}>, metadata: Object}}
+ *   Lines sorted by time (in seconds, offset applied) for synced lyrics, or in file
+ *   order with a null time for plain text; header tags by lower-case name
+ */
+export const parseLrc = (text = '') => {
+  const metadata = {};
+  const timed = [];
+  const plain = [];
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach(raw => {
+    let line = raw.trim();
+    const times = [];
+    let match = line.match(TIME_TAG);
+    while (match) {
+      const fraction = match[3] ? Number(match[3]) / 10 ** match[3].length : 0;
+      times.push(Number(match[1]) * 60 + Number(match[2]) + fraction);
+      line = line.slice(match[0].length).trimStart();
+      match = line.match(TIME_TAG);
+    }
+
+    if (times.length > 0) {
+      const lyric = line.replace(WORD_TAG, '').trim();
+      times.forEach(time => timed.push({ time, text: lyric }));
+      return;
+    }
+
+    const header = line.match(HEADER_TAG);
+    if (header) {
+      metadata[header[1].toLowerCase()] = header[2].trim();
+    } else if (line) {
+      plain.push({ time: null, text: line });
+    }
+  });
+
+  if (timed.length === 0) return { synced: false, lines: plain, metadata };
+
+  // A positive offset shows every line earlier
+  const offset = (Number(metadata.offset) || 0) / 1000;
+  delete metadata.offset;
+  const lines = timed
+    .map(line => ({ ...line, time: Math.max(0, line.time - offset) }))
+    .sort((a, b) => a.time - b.time);
+
+  return { synced: true, lines, metadata };
+};
+
+/**
+ * Format seconds as an LRC time tag body
+ * @param {number} seconds - Time from the start of the track
+ * @returns {string} mm:ss.xx
+ */
+export const formatLrcTime = (seconds) => {
+  const hundredths = Math.round(Math.max(0, seconds) * 100);
+  const minutes = Math.floor(hundredths / 6000);
+  const rest = (hundredths % 6000) / 100;
+  return `${String(minutes).padStart(2, '0')}:${rest.toFixed(2).padStart(5, '0')}`;
+};
+
+/**
+ * Write lyrics as LRC
+ * @param {Array<{time: number|null, text: string}>} lines - Lines to write; lines
+ *   without a time are written as plain text
+ * @param {Object} [metadata] - Header tags by name
+ * @returns {string} LRC text
+ */
+export const formatLrc = (lines, metadata = {}) => {
+  const header = Object.entries(metadata).map(([name, value]) => `[${name}:${value}]`);
+  const body = lines.map(line => (
+    line.time === null || line.time === undefined ? line.text : `[${formatLrcTime(line.time)}]${line.text}`
+  ));
+  return [...header, ...body].join('\n');
+};
+
+/**
+ * Find the line being sung
+ * @param {Array<{time: number}>} lines - Synced lines, sorted by time
+ * @param {number} time - Playback position in seconds
+ * @returns {number} Index of the last line that has started, or -1 before the first
+ */
+export const findCurrentLine = (lines, time) => {
+  let low = 0;
+  let high = lines.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (lines[middle].time <= time) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found;
+};
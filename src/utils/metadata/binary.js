@@ -0,0 +1,157 @@
+// Byte-level helpers shared by the tag parsers and writers
+
+const latin1Decoder = new TextDecoder('iso-8859-1');
+const utf8Decoder = new TextDecoder('utf-8');
+const utf16leDecoder = new TextDecoder('utf-16le');
+const utf16beDecoder = new TextDecoder('utf-16be');
+const utf8Encoder = new TextEncoder();
+
+export const TEXT_ENCODINGS = {
+  LATIN1: 0,
+  UTF16: 1,
+  UTF16BE: 2,
+  UTF8: 3
+};
+
+export const readUint16BE = (bytes, offset) => (bytes[offset] << 8) | bytes[offset + 1];
+
+export const readUint16LE = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+
+export const readUint24BE = (bytes, offset) => (
+  (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2]
+);
+
+export const readUint32BE = (bytes, offset) => (
+  ((bytes[offset] << 24) >>> 0) + ((bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3])
+);
+
+export const readUint32LE = (bytes, offset) => (
+  (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16)) + ((bytes[offset + 3] << 24) >>> 0)
+);
+
+// ID3v2 sizes keep the top bit of every byte clear
+export const readSyncsafe = (bytes, offset) => (
+  (bytes[offset] & 0x7f) * 0x200000
+  + (bytes[offset + 1] & 0x7f) * 0x4000
+  + (bytes[offset + 2] & 0x7f) * 0x80
+  + (bytes[offset + 3] & 0x7f)
+);
+
+export const writeUint24BE = (bytes, offset, value) => {
+  bytes[offset] = (value >>> 16) & 0xff;
+  bytes[offset + 1] = (value >>> 8) & 0xff;
+  bytes[offset + 2] = value & 0xff;
+};
+
+export const writeUint32BE = (bytes, offset, value) => {
+  bytes[offset] = (value >>> 24) & 0xff;
+  writeUint24BE(bytes, offset + 1, value);
+};
+
+export const writeUint32LE = (bytes, offset, value) => {
+  bytes[offset] = value & 0xff;
+  bytes[offset + 1] = (value >>> 8) & 0xff;
+  bytes[offset + 2] = (value >>> 16) & 0xff;
+  bytes[offset + 3] = (value >>> 24) & 0xff;
+};
+
+export const writeSyncsafe = (bytes, offset, value) => {
+  bytes[offset] = (value >>> 21) & 0x7f;
+  bytes[offset + 1] = (value >>> 14) & 0x7f;
+  bytes[offset + 2] = (value >>> 7) & 0x7f;
+  bytes[offset + 3] = value & 0x7f;
+};
+
+/**
+ * Join byte arrays into one
+ * @param {Array<Uint8Array|Array<number>>} chunks - Parts in order
+ * @returns {Uint8Array} The joined bytes
+ */
+export const concatBytes = (chunks) => {
+  const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+};
+
+/**
+ * Read a byte range of a blob without loading the rest
+ * @param {Blob} blob - File or blob
+ * @param {number} start - First byte
+ * @param {number} end - Byte after the last one
+ * @returns {Promise<Uint8Array>} The bytes (shorter near the end of the blob)
+ */
+export const readBlobBytes = async (blob, start, end) => {
+  return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+};
+
+export const readAscii = (bytes, offset, length) => {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+};
+
+export const decodeUtf8 = (bytes) => utf8Decoder.decode(bytes);
+
+export const encodeUtf8 = (text) => utf8Encoder.encode(text);
+
+/**
+ * Decode ID3-style text, dropping byte order marks and trailing NULs
+ * @param {Uint8Array} bytes - Encoded text
+ * @param {number} encoding - One of TEXT_ENCODINGS
+ * @returns {string} Decoded text
+ */
+export const decodeText = (bytes, encoding) => {
+  let text;
+  switch (encoding) {
+    case TEXT_ENCODINGS.UTF16:
+      if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+        text = utf16beDecoder.decode(bytes.subarray(2));
+      } else if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+        text = utf16leDecoder.decode(bytes.subarray(2));
+      } else {
+        text = utf16leDecoder.decode(bytes);
+      }
+      break;
+    case TEXT_ENCODINGS.UTF16BE:
+      text = utf16beDecoder.decode(bytes);
+      break;
+    case TEXT_ENCODINGS.UTF8:
+      text = utf8Decoder.decode(bytes);
+      break;
+    default:
+      text = latin1Decoder.decode(bytes);
+  }
+  return text.replace(/^\uFEFF/, '').replace(/\0+$/, '');
+};
+
+/**
+ * Find the end of a NUL-terminated string
+ * @param {Uint8Array} bytes - Buffer to search
+ * @param {number} offset - Where the string starts
+ * @param {number} encoding - UTF-16 strings end with two aligned NUL bytes
+ * @returns {number} Index of the terminator, or bytes.length if there is none
+ */
+export const findTerminator = (bytes, offset, encoding) => {
+  const isWide = encoding === TEXT_ENCODINGS.UTF16 || encoding === TEXT_ENCODINGS.UTF16BE;
+
+  if (!isWide) {
+    const index = bytes.indexOf(0, offset);
+    return index === -1 ? bytes.length : index;
+  }
+
+  for (let i = offset; i + 1 < bytes.length; i += 2) {
+    if (bytes[i] === 0 && bytes[i + 1] === 0) return i;
+  }
+  return bytes.length;
+};
+
+/**
+ * Length of the terminator that findTerminator located
+ * @param {number} encoding - Text encoding
+ * @returns {number} 2 for UTF-16, otherwise 1
+ */
+export const terminatorLength = (encoding) => (
+  encoding === TEXT_ENCODINGS.UTF16 || encoding === TEXT_ENCODINGS.UTF16BE ? 2 : 1
+);
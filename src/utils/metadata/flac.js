@@ -0,0 +1,148 @@
+// FLAC metadata blocks: STREAMINFO, VORBIS_COMMENT and PICTURE
+import {
+  concatBytes,
+  encodeUtf8,
+  readAscii,
+  readBlobBytes,
+  readUint24BE,
+  readUint32BE,
+  writeUint24BE
+} from './binary';
+import {
+  buildFlacPicture,
+  buildVorbisComment,
+  readFlacPicture,
+  readVorbisComment,
+  updateVorbisComments
+} from './vorbisComment';
+
+const BLOCK_TYPES = {
+  STREAMINFO: 0,
+  VORBIS_COMMENT: 4,
+  PICTURE: 6
+};
+
+const BLOCK_HEADER_SIZE = 4;
+
+// Block lengths are 24-bit
+const MAX_BLOCK_SIZE = 0xffffff;
+
+// Sample rate (20 bits), channels - 1 (3), bits per sample - 1 (5) and the
+// total sample count (36) follow the block and frame size limits
+const readStreamInfo = (bytes) => {
+  const sampleRate = (bytes[10] << 12) | (bytes[11] << 4) | (bytes[12] >> 4);
+  const channels = ((bytes[12] >> 1) & 0x07) + 1;
+  const totalSamples = (bytes[13] & 0x0f) * 0x100000000 + readUint32BE(bytes, 14);
+
+  // A total of zero means the encoder didn't know it
+  return {
+    sampleRate,
+    channels,
+    duration: sampleRate && totalSamples ? totalSamples / sampleRate : undefined
+  };
+};
+
+/**
+ * Read FLAC metadata blocks, fetching only the blocks that matter
+ * @param {Blob} file - FLAC file
+ * @param {number} start - Offset of the "fLaC" marker (after any ID3v2 tag)
+ * @returns {Promise<{frames: Object, pictures: Array, stream: Object}|null>} Parsed tags and
+ *   stream info (bitrate in kbps), or null if this isn't FLAC
+ */
+export const readFlac = async (file, start = 0) => {
+  const marker = await readBlobBytes(file, start, start + 4);
+  if (readAscii(marker, 0, 4) !== 'fLaC') return null;
+
+  let frames = {};
+  const pictures = [];
+  let stream = {};
+  let offset = start + 4;
+  let isLast = false;
+
+  while (!isLast && offset + BLOCK_HEADER_SIZE <= file.size) {
+    const header = await readBlobBytes(file, offset, offset + BLOCK_HEADER_SIZE);
+    isLast = (header[0] & 0x80) !== 0;
+    const type = header[0] & 0x7f;
+    const length = readUint24BE(header, 1);
+    const bodyStart = offset + BLOCK_HEADER_SIZE;
+    offset = bodyStart + length;
+
+    if (type === BLOCK_TYPES.STREAMINFO) {
+      stream = readStreamInfo(await readBlobBytes(file, bodyStart, offset));
+    } else if (type === BLOCK_TYPES.VORBIS_COMMENT) {
+      const comment = readVorbisComment(await readBlobBytes(file, bodyStart, offset));
+      frames = comment.frames;
+      pictures.push(...comment.pictures);
+    } else if (type === BLOCK_TYPES.PICTURE) {
+      const picture = readFlacPicture(await readBlobBytes(file, bodyStart, offset));
+      if (picture) pictures.push(picture);
+    }
+  }
+
+  // Audio frames start right after the last metadata block
+  if (stream.duration) {
+    stream.bitrate = ((file.size - offset) * 8) / stream.duration / 1000;
+  }
+
+  return { frames, pictures, stream };
+};
+
+/**
+ * Copy a FLAC file with new Vorbis comments and, optionally, a new picture
+ * @param {Blob} file - FLAC file
+ * @param {number} start - Offset of the "fLaC" marker; anything before it is dropped
+ * @param {Object} tags - Normalised tags to write
+ * @param {Object|null} [picture] - Front cover replacing every PICTURE block, null to
+ *   remove them, undefined to keep them
+ * @returns {Promise<Blob|null>} The tagged copy, or null if this isn't FLAC
+ */
+export const writeFlac = async (file, start, tags, picture) => {
+  const marker = await readBlobBytes(file, start, start + 4);
+  if (readAscii(marker, 0, 4) !== 'fLaC') return null;
+
+  const blocks = [];
+  let offset = start + 4;
+  let isLast = false;
+
+  while (!isLast && offset + BLOCK_HEADER_SIZE <= file.size) {
+    const header = await readBlobBytes(file, offset, offset + BLOCK_HEADER_SIZE);
+    isLast = (header[0] & 0x80) !== 0;
+    const type = header[0] & 0x7f;
+    const bodyStart = offset + BLOCK_HEADER_SIZE;
+    offset = bodyStart + readUint24BE(header, 1);
+    blocks.push({ type, body: await readBlobBytes(file, bodyStart, offset) });
+  }
+
+  const commentIndex = blocks.findIndex(block => block.type === BLOCK_TYPES.VORBIS_COMMENT);
+  const existing = commentIndex >= 0
+    ? readVorbisComment(blocks[commentIndex].body)
+    : { vendor: '', comments: [] };
+  // Pictures live in their own blocks here, never in the comments
+  const comment = {
+    type: BLOCK_TYPES.VORBIS_COMMENT,
+    body: buildVorbisComment(existing.vendor, updateVorbisComments(existing.comments, tags, picture === undefined ? undefined : null))
+  };
+
+  // STREAMINFO has to stay first; the comments go right after it
+  const output = blocks.filter(block => block.type !== BLOCK_TYPES.VORBIS_COMMENT
+    && (picture === undefined || block.type !== BLOCK_TYPES.PICTURE));
+  output.splice(1, 0, comment);
+  if (picture) {
+    output.push({ type: BLOCK_TYPES.PICTURE, body: buildFlacPicture(picture) });
+  }
+
+  const tooLarge = output.find(block => block.body.length > MAX_BLOCK_SIZE);
+  if (tooLarge) {
+    throw new Error(tooLarge.type === BLOCK_TYPES.PICTURE ? 'Image is too large to embed' : 'Tags are too large to write');
+  }
+
+  const chunks = [encodeUtf8('fLaC')];
+  output.forEach((block, index) => {
+    const header = new Uint8Array(BLOCK_HEADER_SIZE);
+    header[0] = block.type | (index === output.length - 1 ? 0x80 : 0);
+    writeUint24BE(header, 1, block.body.length);
+    chunks.push(header, block.body);
+  });
+
+  return new Blob([concatBytes(chunks), file.slice(offset)], { type: file.type || 'audio/flac' });
+};
@@ -0,0 +1,488 @@
+// ID3v1 and ID3v2.2/2.3/2.4 tag reader for MP3 files, and an ID3v2.4 writer
+import {
+  TEXT_ENCODINGS,
+  concatBytes,
+  decodeText,
+  encodeUtf8,
+  findTerminator,
+  readAscii,
+  readBlobBytes,
+  readSyncsafe,
+  readUint24BE,
+  readUint32BE,
+  terminatorLength,
+  writeSyncsafe
+} from './binary';
+import { ID3_GENRES, resolveGenre } from './genres';
+
+export const ID3V2_HEADER_SIZE = 10;
+export const ID3V1_SIZE = 128;
+
+// Frame ids by tag field; v2.2 uses three-letter ids
+const TEXT_FRAMES = {
+  TIT2: 'title',
+  TT2: 'title',
+  TPE1: 'artist',
+  TP1: 'artist',
+  TALB: 'album',
+  TAL: 'album',
+  TPE2: 'albumArtist',
+  TP2: 'albumArtist',
+  TRCK: 'track',
+  TRK: 'track',
+  TPOS: 'disc',
+  TPA: 'disc',
+  TYER: 'year',
+  TYE: 'year',
+  TDRC: 'year',
+  TCON: 'genre',
+  TCO: 'genre'
+};
+
+const COMMENT_FRAMES = new Set(['COMM', 'COM']);
+const PICTURE_FRAMES = new Set(['APIC', 'PIC']);
+const LYRICS_FRAMES = new Set(['USLT', 'ULT']);
+const SYNCED_LYRICS_FRAMES = new Set(['SYLT', 'SLT']);
+
+// SYLT timestamps in milliseconds; MPEG frame counts (format 1) aren't supported
+const SYLT_MILLISECONDS = 2;
+
+// Chapter frames from the ID3v2 chapter addendum (v2.3 and v2.4 only)
+const CHAPTER_FRAME = 'CHAP';
+const TOC_FRAME = 'CTOC';
+const TOC_TOP_LEVEL = 0x02;
+
+// v2.2 names the image format with three letters instead of a MIME type
+const PIC_FORMATS = { JPG: 'image/jpeg', PNG: 'image/png' };
+
+/**
+ * Size of an ID3v2 tag from its header
+ * @param {Uint8Array} header - First 10 bytes of the file
+ * @returns {number} Bytes the tag occupies including header and footer, or 0 without a tag
+ */
+export const getId3v2Size = (header) => {
+  if (header.length < ID3V2_HEADER_SIZE || readAscii(header, 0, 3) !== 'ID3') return 0;
+  const hasFooter = (header[5] & 0x10) !== 0;
+  return ID3V2_HEADER_SIZE + readSyncsafe(header, 6) + (hasFooter ? ID3V2_HEADER_SIZE : 0);
+};
+
+// Unsynchronisation inserts a zero after every 0xFF; undo it
+const removeUnsynchronisation = (bytes) => {
+  const output = new Uint8Array(bytes.length);
+  let length = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    output[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+  return output.subarray(0, length);
+};
+
+// v2.4 text frames can hold several NUL-separated values
+const readTextFrame = (data) => {
+  const encoding = data[0];
+  return decodeText(data.subarray(1), encoding)
+    .split('\0')
+    .map(value => value.trim())
+    .filter(Boolean);
+};
+
+// Encoding, three-letter language, short description, then the text
+const readCommentFrame = (data) => {
+  const encoding = data[0];
+  const descriptionEnd = findTerminator(data, 4, encoding);
+  const description = decodeText(data.subarray(4, descriptionEnd), encoding);
+  const text = decodeText(data.subarray(descriptionEnd + terminatorLength(encoding)), encoding).trim();
+  return { description, text };
+};
+
+// Encoding, language, timestamp format, content type and a description, then
+// pairs of text and a 32-bit timestamp
+const readSyncedLyricsFrame = (data) => {
+  const encoding = data[0];
+  if (data[4] !== SYLT_MILLISECONDS) return null;
+
+  const lines = [];
+  let offset = findTerminator(data, 6, encoding) + terminatorLength(encoding);
+  while (offset < data.length) {
+    const textEnd = findTerminator(data, offset, encoding);
+    const timeOffset = textEnd + terminatorLength(encoding);
+    if (timeOffset + 4 > data.length) break;
+
+    // Entries usually start with a line break to mark a new line
+    const text = decodeText(data.subarray(offset, textEnd), encoding).trim();
+    lines.push({ time: readUint32BE(data, timeOffset) / 1000, text });
+    offset = timeOffset + 4;
+  }
+
+  return lines.length > 0 ? lines : null;
+};
+
+const readElementId = (data, offset) => {
+  const end = findTerminator(data, offset, TEXT_ENCODINGS.LATIN1);
+  return { id: readAscii(data, offset, end - offset), next: end + 1 };
+};
+
+// Element id, start and end in milliseconds, start and end byte offsets, then
+// sub-frames; TIT2 holds the chapter title
+const readChapterFrame = (data, majorVersion) => {
+  const { id, next } = readElementId(data, 0);
+  if (next + 16 > data.length) return null;
+
+  let title = '';
+  for (const frame of readFrames(data.subarray(next + 16), majorVersion)) {
+    if (frame.id === 'TIT2') {
+      [title = ''] = readTextFrame(frame.data);
+      break;
+    }
+  }
+
+  return {
+    id,
+    start: readUint32BE(data, next) / 1000,
+    end: readUint32BE(data, next + 4) / 1000,
+    title
+  };
+};
+
+// Element id, flags, entry count, then the ids of the chapters (or nested
+// tables of contents) it lists. Sub-frames follow from subFrameOffset.
+const readTocFrame = (data) => {
+  const element = readElementId(data, 0);
+  const flags = data[element.next];
+  const count = data[element.next + 1] || 0;
+  const children = [];
+  let offset = element.next + 2;
+  while (children.length < count && offset < data.length) {
+    const child = readElementId(data, offset);
+    children.push(child.id);
+    offset = child.next;
+  }
+  return { id: element.id, isTopLevel: Boolean(flags & TOC_TOP_LEVEL), children, subFrameOffset: offset };
+};
+
+// The top-level table of contents decides which chapters are listed, since
+// files can carry chapters it leaves out; without one every chapter is
+const resolveChapters = (chapters, tocs) => {
+  const root = tocs.find(toc => toc.isTopLevel);
+  if (!root) return chapters;
+
+  const listed = new Set();
+  const visit = (toc, seen) => toc.children.forEach(child => {
+    const nested = tocs.find(item => item.id === child);
+    if (!nested) {
+      listed.add(child);
+    } else if (!seen.has(child)) {
+      visit(nested, new Set([...seen, child]));
+    }
+  });
+  visit(root, new Set([root.id]));
+  return chapters.filter(chapter => listed.has(chapter.id));
+};
+
+const toImageMimeType = (value) => {
+  const mimeType = value.trim().toLowerCase();
+  if (!mimeType) return 'image/jpeg';
+  if (!mimeType.includes('/')) return `image/${mimeType === 'jpg' ? 'jpeg' : mimeType}`;
+  return mimeType === 'image/jpg' ? 'image/jpeg' : mimeType;
+};
+
+// Encoding, MIME type, picture type, description, then the image bytes
+const readPictureFrame = (data, majorVersion) => {
+  const encoding = data[0];
+  let mimeType;
+  let offset;
+
+  if (majorVersion === 2) {
+    const format = readAscii(data, 1, 3).toUpperCase();
+    mimeType = PIC_FORMATS[format] || toImageMimeType(format);
+    offset = 4;
+  } else {
+    const mimeEnd = findTerminator(data, 1, TEXT_ENCODINGS.LATIN1);
+    mimeType = toImageMimeType(readAscii(data, 1, mimeEnd - 1));
+    offset = mimeEnd + 1;
+  }
+
+  // "-->" marks a link to an external image rather than embedded data
+  if (mimeType === 'image/-->' || offset >= data.length) return null;
+
+  const type = data[offset];
+  const descriptionEnd = findTerminator(data, offset + 1, encoding);
+  const description = decodeText(data.subarray(offset + 1, descriptionEnd), encoding);
+  const image = data.subarray(descriptionEnd + terminatorLength(encoding));
+  return image.length > 0 ? { type, mimeType, description, data: image } : null;
+};
+
+// Yields { id, data } for every frame, with per-frame flags already applied
+function* readFrames(body, majorVersion) {
+  const idLength = majorVersion === 2 ? 3 : 4;
+  const headerLength = majorVersion === 2 ? 6 : 10;
+  let offset = 0;
+
+  while (offset + headerLength <= body.length) {
+    const id = readAscii(body, offset, idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+
+    let size;
+    if (majorVersion === 2) {
+      size = readUint24BE(body, offset + 3);
+    } else if (majorVersion === 4) {
+      size = readSyncsafe(body, offset + 4);
+    } else {
+      size = readUint32BE(body, offset + 4);
+    }
+
+    const start = offset + headerLength;
+    const end = start + size;
+    if (size === 0 || end > body.length) break;
+
+    let data = body.subarray(start, end);
+    offset = end;
+
+    if (majorVersion >= 3) {
+      const formatFlags = body[start - 1];
+      const isV4 = majorVersion === 4;
+      const compressed = isV4 ? formatFlags & 0x08 : formatFlags & 0x80;
+      const encrypted = isV4 ? formatFlags & 0x04 : formatFlags & 0x40;
+      if (compressed || encrypted) continue;
+
+      const grouped = isV4 ? formatFlags & 0x40 : formatFlags & 0x20;
+      if (grouped) data = data.subarray(1);
+      if (isV4 && formatFlags & 0x01) data = data.subarray(4); // data length indicator
+      if (isV4 && formatFlags & 0x02) data = removeUnsynchronisation(data);
+    }
+
+    yield { id, data };
+  }
+}
+
+/**
+ * Unpack the frames of an ID3v2 tag
+ * @param {Uint8Array} bytes - Bytes starting at the tag header, covering the whole tag
+ * @returns {{majorVersion: number, frames: Array<{id: string, data: Uint8Array}>}|null}
+ *   Frames in tag order with unsynchronisation and frame flags already undone,
+ *   or null without a supported tag
+ */
+export const readId3v2Frames = (bytes) => {
+  const size = getId3v2Size(bytes);
+  if (!size) return null;
+
+  const majorVersion = bytes[3];
+  if (majorVersion < 2 || majorVersion > 4) return null;
+
+  const flags = bytes[5];
+  let body = bytes.subarray(ID3V2_HEADER_SIZE, Math.min(bytes.length, ID3V2_HEADER_SIZE + readSyncsafe(bytes, 6)));
+
+  // Before v2.4 unsynchronisation covers the whole tag
+  if (majorVersion < 4 && flags & 0x80) {
+    body = removeUnsynchronisation(body);
+  }
+
+  if (majorVersion >= 3 && flags & 0x40) {
+    const extendedSize = majorVersion === 4 ? readSyncsafe(body, 0) : readUint32BE(body, 0) + 4;
+    body = body.subarray(extendedSize);
+  }
+
+  return { majorVersion, frames: Array.from(readFrames(body, majorVersion)) };
+};
+
+/**
+ * Read an ID3v2 tag
+ * @param {Uint8Array} bytes - Bytes starting at the tag header, covering the whole tag
+ * @returns {{version: string, frames: Object, pictures: Array, lyrics: Object,
+ *   chapters: Array}|null} Raw values by field name (track and disc stay as "n/total"
+ *   strings), embedded pictures, lyrics ({text} from USLT, {lines} of {time, text}
+ *   from SYLT) and chapters ({start, end, title} in seconds), or null without a tag
+ */
+export const readId3v2 = (bytes) => {
+  const tag = readId3v2Frames(bytes);
+  if (!tag) return null;
+
+  const { majorVersion } = tag;
+  const frames = {};
+  const pictures = [];
+  const lyrics = {};
+  const chapters = [];
+  const tocs = [];
+  for (const { id, data } of tag.frames) {
+    const field = TEXT_FRAMES[id];
+    if (field && frames[field] === undefined) {
+      const values = readTextFrame(data);
+      if (values.length === 0) continue;
+      frames[field] = field === 'genre'
+        ? values.map(resolveGenre).filter(Boolean).join(', ')
+        : field === 'artist' ? values.join('; ') : values[0];
+    } else if (COMMENT_FRAMES.has(id) && frames.comment === undefined) {
+      // iTunes stores housekeeping data in described comments; prefer the plain one
+      const { description, text } = readCommentFrame(data);
+      if (text && !description) frames.comment = text;
+    } else if (PICTURE_FRAMES.has(id)) {
+      const picture = readPictureFrame(data, majorVersion);
+      if (picture) pictures.push(picture);
+    } else if (LYRICS_FRAMES.has(id) && lyrics.text === undefined) {
+      const { text } = readCommentFrame(data);
+      if (text) lyrics.text = text;
+    } else if (SYNCED_LYRICS_FRAMES.has(id) && lyrics.lines === undefined) {
+      const lines = readSyncedLyricsFrame(data);
+      if (lines) lyrics.lines = lines;
+    } else if (id === CHAPTER_FRAME) {
+      const chapter = readChapterFrame(data, majorVersion);
+      if (chapter) chapters.push(chapter);
+    } else if (id === TOC_FRAME) {
+      tocs.push(readTocFrame(data));
+    }
+  }
+
+  return {
+    version: `2.${majorVersion}`,
+    frames,
+    pictures,
+    lyrics,
+    chapters: resolveChapters(chapters, tocs).map(({ start, end, title }) => ({ start, end, title }))
+  };
+};
+
+const readFixedText = (bytes, offset, length) => {
+  return decodeText(bytes.subarray(offset, offset + length), TEXT_ENCODINGS.LATIN1)
+    .split('\0')[0]
+    .trim();
+};
+
+/**
+ * Read an ID3v1 or ID3v1.1 tag
+ * @param {Uint8Array} bytes - The last 128 bytes of the file
+ * @returns {{version: string, frames: Object}|null} Raw values by field name, or null without a tag
+ */
+export const readId3v1 = (bytes) => {
+  if (bytes.length !== ID3V1_SIZE || readAscii(bytes, 0, 3) !== 'TAG') return null;
+
+  const frames = {
+    title: readFixedText(bytes, 3, 30),
+    artist: readFixedText(bytes, 33, 30),
+    album: readFixedText(bytes, 63, 30),
+    year: readFixedText(bytes, 93, 4),
+    genre: ID3_GENRES[bytes[127]] || ''
+  };
+
+  // v1.1 keeps the track number in the last comment byte behind a zero
+  const isV11 = bytes[125] === 0 && bytes[126] !== 0;
+  frames.comment = readFixedText(bytes, 97, isV11 ? 28 : 30);
+  if (isV11) frames.track = String(bytes[126]);
+
+  return { version: isV11 ? '1.1' : '1.0', frames };
+};
+
+const FRAME_HEADER_SIZE = 10;
+
+// Frames written for each tag field
+const WRITTEN_FRAMES = {
+  title: 'TIT2',
+  artist: 'TPE1',
+  album: 'TALB',
+  albumArtist: 'TPE2',
+  year: 'TDRC',
+  genre: 'TCON'
+};
+
+// v2.3 frames that v2.4 replaced; kept frames are re-written as v2.4
+const V23_ONLY_FRAMES = new Set(['TYER', 'TDAT', 'TIME', 'TRDA', 'TSIZ', 'IPLS', 'RVAD', 'EQUA']);
+
+const buildFrame = (id, data) => {
+  const header = new Uint8Array(FRAME_HEADER_SIZE);
+  header.set(encodeUtf8(id));
+  writeSyncsafe(header, 4, data.length);
+  return concatBytes([header, data]);
+};
+
+const buildTextFrame = (id, text) => {
+  return buildFrame(id, concatBytes([[TEXT_ENCODINGS.UTF8], encodeUtf8(String(text))]));
+};
+
+// CHAP and CTOC embed frames whose headers follow the tag's version, so v2.3
+// chapters get their sub-frames rebuilt with synchsafe sizes
+const toV24Frame = ({ id, data }, majorVersion) => {
+  if (majorVersion === 4 || (id !== CHAPTER_FRAME && id !== TOC_FRAME)) return { id, data };
+
+  const offset = id === CHAPTER_FRAME ? readElementId(data, 0).next + 16 : readTocFrame(data).subFrameOffset;
+  if (offset > data.length) return null;
+
+  const subFrames = Array.from(readFrames(data.subarray(offset), majorVersion), frame => buildFrame(frame.id, frame.data));
+  return { id, data: concatBytes([data.subarray(0, offset), ...subFrames]) };
+};
+
+const formatPosition = (number, total) => (total ? `${number}/${total}` : String(number));
+
+// Existing frames this app doesn't edit survive a rewrite
+const isKeptFrame = ({ id, data }, replacePictures) => {
+  if (TEXT_FRAMES[id] || V23_ONLY_FRAMES.has(id)) return false;
+  if (PICTURE_FRAMES.has(id)) return !replacePictures;
+  if (COMMENT_FRAMES.has(id)) return Boolean(readCommentFrame(data).description);
+  return true;
+};
+
+/**
+ * Build an ID3v2.4 tag
+ * @param {Object} tags - Normalised tags to write
+ * @param {Object|null} [picture] - Front cover to embed, null to drop embedded
+ *   pictures, undefined to keep those in existingFrames
+ * @param {Array<{id: string, data: Uint8Array}>} existingFrames - Frames from the
+ *   current tag in v2.4 form; those holding other data are carried over
+ * @returns {Uint8Array} The whole tag, header included
+ */
+export const buildId3v2Tag = (tags, picture, existingFrames = []) => {
+  const frames = Object.entries(WRITTEN_FRAMES)
+    .filter(([field]) => tags[field] !== undefined && tags[field] !== '')
+    .map(([field, id]) => buildTextFrame(id, tags[field]));
+
+  if (tags.trackNumber) frames.push(buildTextFrame('TRCK', formatPosition(tags.trackNumber, tags.trackTotal)));
+  if (tags.discNumber) frames.push(buildTextFrame('TPOS', formatPosition(tags.discNumber, tags.discTotal)));
+  if (tags.comment) {
+    // UTF-8, language, empty description, then the text
+    frames.push(buildFrame('COMM', concatBytes([[TEXT_ENCODINGS.UTF8], encodeUtf8('eng'), [0], encodeUtf8(tags.comment)])));
+  }
+  if (picture) {
+    frames.push(buildFrame('APIC', concatBytes([
+      [TEXT_ENCODINGS.UTF8],
+      encodeUtf8(picture.mimeType),
+      [0, picture.type, 0],
+      picture.data
+    ])));
+  }
+
+  existingFrames
+    .filter(frame => isKeptFrame(frame, picture !== undefined))
+    .forEach(({ id, data }) => frames.push(buildFrame(id, data)));
+
+  const body = concatBytes(frames);
+  const header = new Uint8Array(ID3V2_HEADER_SIZE);
+  header.set(encodeUtf8('ID3'));
+  header[3] = 4;
+  writeSyncsafe(header, 6, body.length);
+  return concatBytes([header, body]);
+};
+
+/**
+ * Copy an MP3 file with a new ID3v2.4 tag in place of its old tags
+ * @param {Blob} file - MP3 file
+ * @param {Object} tags - Normalised tags to write
+ * @param {Object|null} [picture] - See buildId3v2Tag
+ * @returns {Promise<Blob>} The tagged copy. ID3v1 tags are dropped so old values can't win.
+ */
+export const writeId3 = async (file, tags, picture) => {
+  const tagSize = getId3v2Size(await readBlobBytes(file, 0, ID3V2_HEADER_SIZE));
+  const existing = tagSize ? readId3v2Frames(await readBlobBytes(file, 0, tagSize)) : null;
+  // v2.2 frame ids can't be carried into a v2.4 tag
+  const existingFrames = existing && existing.majorVersion >= 3
+    ? existing.frames.map(frame => toV24Frame(frame, existing.majorVersion)).filter(Boolean)
+    : [];
+
+  let end = file.size;
+  if (file.size >= tagSize + ID3V1_SIZE) {
+    const v1 = await readBlobBytes(file, file.size - ID3V1_SIZE, file.size - ID3V1_SIZE + 3);
+    if (readAscii(v1, 0, 3) === 'TAG') end -= ID3V1_SIZE;
+  }
+
+  return new Blob(
+    [buildId3v2Tag(tags, picture, existingFrames), file.slice(tagSize, end)],
+    { type: file.type || 'audio/mpeg' }
+  );
+};
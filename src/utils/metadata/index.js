@@ -0,0 +1,291 @@
+// Reads embedded tags from audio files into one normalised shape:
+// { title, artist, album, albumArtist, trackNumber, trackTotal,
+//   discNumber, discTotal, year, genre, comment }
+// Fields the file doesn't carry are left out. MP3 (ID3), FLAC, Ogg Vorbis/Opus,
+// MP4/M4A and WAV are recognised by their leading bytes, not the file extension;
+// MP3 needs an ID3 tag or a run of valid frame headers.
+// Embedded cover art, lyrics, chapters (ID3 CHAP/CTOC and MP4 chapter tracks)
+// and stream info (duration, sampleRate, channels and bitrate in kbps, read from
+// the container and frame headers without decoding any audio) come back
+// separately from readEmbeddedMetadata().
+// writeTags() does the reverse for MP3, FLAC and Ogg, returning a tagged copy.
+import { readAscii, readBlobBytes } from './binary';
+import { readFlac, writeFlac } from './flac';
+import { ID3V1_SIZE, ID3V2_HEADER_SIZE, getId3v2Size, readId3v1, readId3v2, writeId3 } from './id3';
+import { readMpegStream } from './mpeg';
+import { readMp4 } from './mp4';
+import { readOgg, writeOgg } from './ogg';
+import { isWavHeader, readWav } from './wav';
+import { formatLrc } from '../lrc';
+
+export const AUDIO_FORMATS = {
+  MP3: 'mp3',
+  FLAC: 'flac',
+  OGG: 'ogg',
+  MP4: 'mp4',
+  WAV: 'wav'
+};
+
+export const TAG_FIELDS = [
+  'title',
+  'artist',
+  'album',
+  'albumArtist',
+  'trackNumber',
+  'trackTotal',
+  'discNumber',
+  'discTotal',
+  'year',
+  'genre',
+  'comment'
+];
+
+// Picture type 3 in ID3 and FLAC
+const FRONT_COVER = 3;
+
+export const STREAM_FIELDS = ['duration', 'sampleRate', 'channels', 'bitrate'];
+
+const TEXT_FIELDS = ['title', 'artist', 'album', 'albumArtist', 'genre', 'comment'];
+
+const MAX_CHAPTERS = 1000;
+const MAX_CHAPTER_TITLE_LENGTH = 1024;
+
+const toPositiveInt = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : undefined;
+};
+
+// "3/12" or "3" plus an optional separate total
+const parsePosition = (value, total) => {
+  const [number, ofTotal] = String(value ?? '').split('/');
+  return {
+    number: toPositiveInt(number),
+    total: toPositiveInt(total ?? ofTotal)
+  };
+};
+
+/**
+ * Turn raw parser output into the normalised tag object
+ * @param {Object} raw - Values by field name; track and disc may be "n/total"
+ * @returns {Object} Normalised tags with empty fields removed
+ */
+export const normalizeTags = (raw = {}) => {
+  const tags = {};
+
+  TEXT_FIELDS.forEach(field => {
+    const value = typeof raw[field] === 'string' ? raw[field].trim() : '';
+    if (value) tags[field] = value;
+  });
+
+  const track = parsePosition(raw.track, raw.trackTotal);
+  const disc = parsePosition(raw.disc, raw.discTotal);
+  if (track.number) tags.trackNumber = track.number;
+  if (track.total) tags.trackTotal = track.total;
+  if (disc.number) tags.discNumber = disc.number;
+  if (disc.total) tags.discTotal = disc.total;
+
+  // Full dates ("2004-05-12") keep only the year
+  const year = String(raw.year ?? '').match(/\d{4}/)?.[0];
+  if (year) tags.year = Number(year);
+
+  return tags;
+};
+
+/**
+ * Round stream info and fill in a bitrate estimate from the file size
+ * @param {Object} raw - Parser output: duration (seconds), sampleRate, channels, bitrate (kbps)
+ * @param {number} fileSize - Bytes in the file
+ * @returns {Object} Stream info with unknown or nonsensical values removed
+ */
+export const normalizeStream = (raw = {}, fileSize = 0) => {
+  const stream = {};
+  const isPositive = value => Number.isFinite(value) && value > 0;
+
+  if (isPositive(raw.duration)) stream.duration = Math.round(raw.duration * 1000) / 1000;
+  if (isPositive(raw.sampleRate)) stream.sampleRate = Math.round(raw.sampleRate);
+  if (isPositive(raw.channels)) stream.channels = Math.round(raw.channels);
+
+  const bitrate = isPositive(raw.bitrate) || !stream.duration
+    ? raw.bitrate
+    : (fileSize * 8) / stream.duration / 1000;
+  if (isPositive(bitrate)) stream.bitrate = Math.round(bitrate);
+
+  return stream;
+};
+
+/**
+ * Sort chapters and drop the ones that can't be played
+ * @param {Array<{start: number, title?: string}>} raw - Parser output, start in seconds
+ * @param {number} [duration] - Length of the file; chapters starting after it are dropped
+ * @returns {Array<{start: number, title: string}>} Chapters by start time, one per start,
+ *   untitled ones named by their position. Each runs until the next one starts.
+ */
+export const normalizeChapters = (raw = [], duration) => {
+  const starts = new Set();
+  return raw
+    .map(chapter => ({ ...chapter, start: Math.round(chapter.start * 1000) / 1000 }))
+    .filter(chapter => Number.isFinite(chapter.start) && chapter.start >= 0 && !(duration && chapter.start >= duration))
+    .sort((a, b) => a.start - b.start)
+    .filter(chapter => !starts.has(chapter.start) && starts.add(chapter.start))
+    .slice(0, MAX_CHAPTERS)
+    .map((chapter, index) => ({
+      start: chapter.start,
+      title: (chapter.title || '').trim().slice(0, MAX_CHAPTER_TITLE_LENGTH) || `Chapter ${index + 1}`
+    }));
+};
+
+/**
+ * Work out the container format from the first bytes
+ * @param {Blob} file - Audio file
+ * @returns {Promise<{format: string|null, start: number}>} Format plus where it begins
+ *   (FLAC files sometimes carry an ID3v2 tag in front); format is null when the
+ *   file isn't recognised
+ */
+export const detectFormat = async (file) => {
+  const header = await readBlobBytes(file, 0, 12);
+  const id3Size = getId3v2Size(header);
+
+  if (readAscii(header, 0, 4) === 'OggS') return { format: AUDIO_FORMATS.OGG, start: 0 };
+  if (readAscii(header, 4, 4) === 'ftyp') return { format: AUDIO_FORMATS.MP4, start: 0 };
+  if (isWavHeader(header)) return { format: AUDIO_FORMATS.WAV, start: 0 };
+
+  const marker = id3Size ? await readBlobBytes(file, id3Size, id3Size + 4) : header;
+  if (readAscii(marker, 0, 4) === 'fLaC') return { format: AUDIO_FORMATS.FLAC, start: id3Size };
+
+  // Without a tag, guessing MP3 would read frame headers out of random bytes
+  if (id3Size || await readMpegStream(file)) return { format: AUDIO_FORMATS.MP3, start: 0 };
+  return { format: null, start: 0 };
+};
+
+// ID3v1 sits in the last 128 bytes; v2 values take precedence over it
+const readId3 = async (file) => {
+  let frames = {};
+  let pictures = [];
+  let lyrics = {};
+  let chapters = [];
+
+  if (file.size >= ID3V1_SIZE) {
+    const v1 = readId3v1(await readBlobBytes(file, file.size - ID3V1_SIZE, file.size));
+    if (v1) frames = { ...v1.frames };
+  }
+
+  const tagSize = getId3v2Size(await readBlobBytes(file, 0, ID3V2_HEADER_SIZE));
+  if (tagSize) {
+    const v2 = readId3v2(await readBlobBytes(file, 0, tagSize));
+    if (v2) {
+      frames = { ...frames, ...v2.frames };
+      pictures = v2.pictures;
+      lyrics = v2.lyrics;
+      chapters = v2.chapters;
+    }
+  }
+
+  return { frames, pictures, lyrics, chapters };
+};
+
+/**
+ * Pick the picture to use as cover art
+ * @param {Array<{type: number, mimeType: string, data: Uint8Array}>} pictures - Embedded pictures
+ * @returns {Blob|null} The front cover, else the first picture, as an image blob
+ */
+export const pickCoverArt = (pictures = []) => {
+  const picture = pictures.find(item => item.type === FRONT_COVER) || pictures[0];
+  return picture ? new Blob([picture.data], { type: picture.mimeType }) : null;
+};
+
+// Synced lyrics (ID3 SYLT) become LRC; plain lyrics may already be LRC text
+const pickLyrics = (lyrics = {}, text) => {
+  if (lyrics.lines) return formatLrc(lyrics.lines);
+  const plain = (lyrics.text || text || '').trim();
+  return plain || null;
+};
+
+const EMPTY_METADATA = { tags: {}, cover: null, lyrics: null, chapters: [], stream: {} };
+
+/**
+ * Read embedded tags, cover art, lyrics, chapters and stream info from an audio file
+ * without loading the audio itself
+ * @param {Blob} file - Uploaded file
+ * @returns {Promise<{tags: Object, cover: Blob|null, lyrics: string|null, chapters: Array,
+ *   stream: Object}>} Normalised tags, chapters and stream info (each empty when
+ *   unknown), plus the cover image and lyrics (LRC or plain text) when the file embeds them
+ */
+export const readEmbeddedMetadata = async (file) => {
+  try {
+    const { format, start } = await detectFormat(file);
+
+    let parsed = null;
+    if (format === AUDIO_FORMATS.FLAC) {
+      parsed = await readFlac(file, start);
+    } else if (format === AUDIO_FORMATS.OGG) {
+      parsed = await readOgg(file);
+    } else if (format === AUDIO_FORMATS.MP4) {
+      parsed = await readMp4(file);
+    } else if (format === AUDIO_FORMATS.WAV) {
+      parsed = await readWav(file);
+    } else if (format === AUDIO_FORMATS.MP3) {
+      parsed = await readId3(file);
+      parsed.stream = await readMpegStream(file);
+    }
+
+    if (!parsed) return EMPTY_METADATA;
+
+    const { frames, pictures, lyrics, chapters, stream } = parsed;
+    const normalizedStream = normalizeStream(stream || {}, file.size);
+    return {
+      tags: normalizeTags(frames),
+      cover: pickCoverArt(pictures),
+      lyrics: pickLyrics(lyrics, frames.lyrics),
+      chapters: normalizeChapters(chapters, normalizedStream.duration),
+      stream: normalizedStream
+    };
+  } catch (error) {
+    console.error('Failed to read tags:', file.name, error);
+    return EMPTY_METADATA;
+  }
+};
+
+/**
+ * Read embedded tags from an audio file without loading the audio itself
+ * @param {Blob} file - Uploaded file
+ * @returns {Promise<Object>} Normalised tags, empty when the file has none
+ */
+export const readMetadata = async (file) => {
+  const { tags } = await readEmbeddedMetadata(file);
+  return tags;
+};
+
+// Image blob to the picture shape the writers embed
+const toPicture = async (image) => ({
+  type: FRONT_COVER,
+  mimeType: image.type || 'image/jpeg',
+  description: '',
+  data: new Uint8Array(await image.arrayBuffer())
+});
+
+/**
+ * Write tags into a copy of an audio file. Fields missing from tags are removed
+ * from the copy; tags the app doesn't edit are kept.
+ * @param {Blob} file - MP3, FLAC or Ogg Vorbis/Opus file
+ * @param {Object} tags - Normalised tags to write
+ * @param {Object} [options]
+ * @param {Blob|null} [options.picture] - Front cover to embed, null to remove embedded
+ *   pictures, undefined to keep them
+ * @returns {Promise<Blob>} The tagged copy
+ */
+export const writeTags = async (file, tags, { picture } = {}) => {
+  const { format, start } = await detectFormat(file);
+  const cover = picture ? await toPicture(picture) : picture;
+
+  let tagged = null;
+  if (format === AUDIO_FORMATS.FLAC) {
+    tagged = await writeFlac(file, start, tags, cover);
+  } else if (format === AUDIO_FORMATS.OGG) {
+    tagged = await writeOgg(file, tags, cover);
+  } else if (format === AUDIO_FORMATS.MP3 && await readMpegStream(file)) {
+    tagged = await writeId3(file, tags, cover);
+  }
+
+  if (!tagged) throw new Error('Tags can only be written to MP3, FLAC, Ogg Vorbis and Opus files');
+  return tagged;
+};
@@ -0,0 +1,344 @@
+// MP4/M4A metadata from the iTunes-style moov/udta/meta/ilst atoms, plus
+// duration and format from the sound track's media header and sample description,
+// and chapters from a QuickTime chapter track or a Nero chpl atom
+import { TEXT_ENCODINGS, decodeText, decodeUtf8, readAscii, readBlobBytes, readUint16BE, readUint32BE } from './binary';
+import { ID3_GENRES } from './genres';
+
+const ATOM_HEADER_SIZE = 8;
+
+// Well-known data atom types
+const DATA_TYPES = {
+  UTF8: 1,
+  JPEG: 13,
+  PNG: 14
+};
+
+const TEXT_ATOMS = {
+  '\xa9nam': 'title',
+  '\xa9ART': 'artist',
+  '\xa9alb': 'album',
+  aART: 'albumArtist',
+  '\xa9day': 'year',
+  '\xa9gen': 'genre',
+  '\xa9cmt': 'comment',
+  '\xa9lyr': 'lyrics'
+};
+
+// Atoms that only hold other atoms on the way to ilst
+const CONTAINERS = new Set(['moov', 'udta', 'meta', 'ilst']);
+
+// Chapter tracks hold one sample per chapter; more than this is not a chapter list
+const MAX_CHAPTERS = 1000;
+// Nero chapter start times count 100 ns units
+const NERO_TIME_UNITS = 10000000;
+
+/**
+ * List the atoms inside a byte range
+ * @param {Uint8Array} bytes - Buffer holding the atoms
+ * @param {number} start - Offset of the first atom
+ * @param {number} end - End of the parent's payload
+ * @returns {Array<{type: string, start: number, end: number}>} Atoms with payload bounds
+ */
+export const readAtoms = (bytes, start = 0, end = bytes.length) => {
+  const atoms = [];
+  let offset = start;
+
+  while (offset + ATOM_HEADER_SIZE <= end) {
+    let size = readUint32BE(bytes, offset);
+    const type = readAscii(bytes, offset + 4, 4);
+    let headerSize = ATOM_HEADER_SIZE;
+
+    if (size === 1) {
+      // 64-bit size; the high half is zero for anything that fits in memory
+      size = readUint32BE(bytes, offset + 12);
+      headerSize += 8;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) break;
+
+    atoms.push({ type, start: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+
+  return atoms;
+};
+
+/**
+ * Find the top-level moov atom without reading the media data around it
+ * @param {Blob} file - MP4 file
+ * @returns {Promise<Uint8Array|null>} The moov payload, or null if there is none
+ */
+export const readMoov = async (file) => {
+  let offset = 0;
+
+  while (offset + ATOM_HEADER_SIZE <= file.size) {
+    const header = await readBlobBytes(file, offset, offset + 16);
+    let size = readUint32BE(header, 0);
+    const type = readAscii(header, 4, 4);
+    let headerSize = ATOM_HEADER_SIZE;
+
+    if (size === 1) {
+      size = readUint32BE(header, 8) * 0x100000000 + readUint32BE(header, 12);
+      headerSize += 8;
+    } else if (size === 0) {
+      size = file.size - offset;
+    }
+    if (size < headerSize) return null;
+
+    if (type === 'moov') {
+      return readBlobBytes(file, offset + headerSize, offset + size);
+    }
+    offset += size;
+  }
+
+  return null;
+};
+
+const findAtom = (bytes, parent, type) => (
+  readAtoms(bytes, parent.start, parent.end).find(atom => atom.type === type) || null
+);
+
+// mvhd and mdhd share a layout; version 1 has 64-bit times
+const readMediaHeader = (bytes, atom) => {
+  const isV1 = bytes[atom.start] === 1;
+  const timescale = readUint32BE(bytes, atom.start + (isV1 ? 20 : 12));
+  const duration = isV1
+    ? readUint32BE(bytes, atom.start + 24) * 0x100000000 + readUint32BE(bytes, atom.start + 28)
+    : readUint32BE(bytes, atom.start + 16);
+  return { timescale, duration: timescale ? duration / timescale : undefined };
+};
+
+// Audio sample entries keep channels and a 16.16 sample rate after 16 bytes
+// of reserved fields; version 2 entries moved them, so fall back to the timescale
+const readSampleEntry = (bytes, stsd) => {
+  // Full atom header and entry count come first
+  const [entry] = readAtoms(bytes, stsd.start + 8, stsd.end);
+  if (!entry || entry.end - entry.start < 28 || readUint16BE(bytes, entry.start + 8) > 1) return {};
+
+  return {
+    channels: readUint16BE(bytes, entry.start + 16),
+    sampleRate: readUint32BE(bytes, entry.start + 24) / 0x10000
+  };
+};
+
+const readStream = (moov) => {
+  const stream = {};
+  const mvhd = findAtom(moov, { start: 0, end: moov.length }, 'mvhd');
+  if (mvhd) stream.duration = readMediaHeader(moov, mvhd).duration;
+
+  const soundTrack = readAtoms(moov)
+    .filter(atom => atom.type === 'trak')
+    .map(trak => findAtom(moov, trak, 'mdia'))
+    .find(mdia => {
+      const hdlr = mdia && findAtom(moov, mdia, 'hdlr');
+      return hdlr && readAscii(moov, hdlr.start + 8, 4) === 'soun';
+    });
+  if (!soundTrack) return stream;
+
+  const mdhd = findAtom(moov, soundTrack, 'mdhd');
+  const header = mdhd ? readMediaHeader(moov, mdhd) : {};
+  if (header.duration) stream.duration = header.duration;
+
+  const minf = findAtom(moov, soundTrack, 'minf');
+  const stbl = minf && findAtom(moov, minf, 'stbl');
+  const stsd = stbl && findAtom(moov, stbl, 'stsd');
+  const { channels, sampleRate } = stsd ? readSampleEntry(moov, stsd) : {};
+
+  if (channels) stream.channels = channels;
+  // Rates above 65535 Hz don't fit the fixed-point field; the timescale usually matches
+  stream.sampleRate = header.timescale > 0xffff ? header.timescale : sampleRate || header.timescale;
+  return stream;
+};
+
+const readUint64BE = (bytes, offset) => (
+  readUint32BE(bytes, offset) * 0x100000000 + readUint32BE(bytes, offset + 4)
+);
+
+const readTrackId = (bytes, trak) => {
+  const tkhd = findAtom(bytes, trak, 'tkhd');
+  return tkhd ? readUint32BE(bytes, tkhd.start + (bytes[tkhd.start] === 1 ? 20 : 12)) : null;
+};
+
+const readHandlerType = (bytes, mdia) => {
+  const hdlr = findAtom(bytes, mdia, 'hdlr');
+  return hdlr ? readAscii(bytes, hdlr.start + 8, 4) : null;
+};
+
+// Full atoms start with version and flags, then an entry count
+const readEntries = (bytes, atom, entrySize, read, headerSize = 8) => {
+  const count = Math.min(readUint32BE(bytes, atom.start + 4), Math.floor((atom.end - atom.start - headerSize) / entrySize));
+  return Array.from({ length: Math.max(0, count) }, (_, index) => read(atom.start + headerSize + index * entrySize));
+};
+
+// Offset, size and start time of each sample, in the track's timescale
+const readSamples = (bytes, stbl) => {
+  const [stts, stsz, stsc, stco, co64] = ['stts', 'stsz', 'stsc', 'stco', 'co64'].map(type => findAtom(bytes, stbl, type));
+  if (!stts || !stsz || !stsc || !(stco || co64)) return [];
+
+  const starts = [];
+  let time = 0;
+  readEntries(bytes, stts, 8, offset => [readUint32BE(bytes, offset), readUint32BE(bytes, offset + 4)])
+    .forEach(([count, delta]) => {
+      for (let i = 0; i < count && starts.length < MAX_CHAPTERS; i++) {
+        starts.push(time);
+        time += delta;
+      }
+    });
+
+  // stsz has a shared sample size before the count; zero means each has its own
+  const sampleSize = readUint32BE(bytes, stsz.start + 4);
+  const sizes = sampleSize ? [] : readEntries(bytes, { start: stsz.start + 4, end: stsz.end }, 4, offset => readUint32BE(bytes, offset));
+  const chunkOffsets = stco
+    ? readEntries(bytes, stco, 4, offset => readUint32BE(bytes, offset))
+    : readEntries(bytes, co64, 8, offset => readUint64BE(bytes, offset));
+  const runs = readEntries(bytes, stsc, 12, offset => ({
+    firstChunk: readUint32BE(bytes, offset),
+    samplesPerChunk: readUint32BE(bytes, offset + 4)
+  }));
+
+  const samples = [];
+  chunkOffsets.forEach((chunkOffset, index) => {
+    const run = runs.filter(item => item.firstChunk <= index + 1).pop();
+    let offset = chunkOffset;
+    for (let i = 0; run && i < run.samplesPerChunk && samples.length < starts.length; i++) {
+      const size = sampleSize || sizes[samples.length] || 0;
+      samples.push({ offset, size, start: starts[samples.length] });
+      offset += size;
+    }
+  });
+  return samples;
+};
+
+// Text samples are a 16-bit length and the text, UTF-16 when it opens with a BOM
+const readTextSample = (bytes) => {
+  const text = bytes.subarray(2, 2 + readUint16BE(bytes, 0));
+  return text[0] === 0xfe && text[1] === 0xff ? decodeText(text, TEXT_ENCODINGS.UTF16) : decodeUtf8(text);
+};
+
+// A sound track's tref/chap names the text track that holds its chapter titles
+const readChapterTrack = async (file, moov) => {
+  const traks = readAtoms(moov).filter(atom => atom.type === 'trak');
+  const chapterIds = new Set(traks.flatMap(trak => {
+    const tref = findAtom(moov, trak, 'tref');
+    const chap = tref && findAtom(moov, tref, 'chap');
+    if (!chap) return [];
+    // A plain list of track ids, without the full atom header
+    return Array.from({ length: Math.floor((chap.end - chap.start) / 4) }, (_, index) => readUint32BE(moov, chap.start + index * 4));
+  }));
+
+  const trak = traks.find(item => chapterIds.has(readTrackId(moov, item)));
+  const mdia = trak && findAtom(moov, trak, 'mdia');
+  if (!mdia || readHandlerType(moov, mdia) !== 'text') return [];
+
+  const mdhd = findAtom(moov, mdia, 'mdhd');
+  const minf = findAtom(moov, mdia, 'minf');
+  const stbl = minf && findAtom(moov, minf, 'stbl');
+  const { timescale } = mdhd ? readMediaHeader(moov, mdhd) : {};
+  if (!timescale || !stbl) return [];
+
+  const chapters = [];
+  for (const sample of readSamples(moov, stbl)) {
+    if (sample.size < 2) continue;
+    const bytes = await readBlobBytes(file, sample.offset, sample.offset + sample.size);
+    chapters.push({ start: sample.start / timescale, title: readTextSample(bytes).trim() });
+  }
+  return chapters;
+};
+
+// Version and flags, four more bytes in version 1, an 8-bit count, then per
+// chapter a 64-bit start and a title with an 8-bit length
+const readNeroChapters = (bytes, chpl) => {
+  let offset = chpl.start + (bytes[chpl.start] === 1 ? 8 : 4);
+  const count = bytes[offset];
+  offset += 1;
+
+  const chapters = [];
+  while (chapters.length < count && offset + 9 <= chpl.end) {
+    const length = bytes[offset + 8];
+    chapters.push({
+      start: readUint64BE(bytes, offset) / NERO_TIME_UNITS,
+      title: decodeUtf8(bytes.subarray(offset + 9, Math.min(offset + 9 + length, chpl.end))).trim()
+    });
+    offset += 9 + length;
+  }
+  return chapters;
+};
+
+const readChapters = async (file, moov) => {
+  const chapters = await readChapterTrack(file, moov);
+  if (chapters.length > 0) return chapters;
+
+  const udta = findAtom(moov, { start: 0, end: moov.length }, 'udta');
+  const chpl = udta && findAtom(moov, udta, 'chpl');
+  return chpl ? readNeroChapters(moov, chpl) : [];
+};
+
+// The value of an item's data atom: type, locale, then the payload
+const readData = (bytes, item) => {
+  const data = readAtoms(bytes, item.start, item.end).find(atom => atom.type === 'data');
+  if (!data || data.end - data.start < 8) return null;
+
+  return {
+    type: readUint32BE(bytes, data.start) & 0xffffff,
+    value: bytes.subarray(data.start + 8, data.end)
+  };
+};
+
+const readIlst = (bytes, ilst) => {
+  const frames = {};
+  const pictures = [];
+
+  readAtoms(bytes, ilst.start, ilst.end).forEach(item => {
+    const data = readData(bytes, item);
+    if (!data) return;
+
+    if (TEXT_ATOMS[item.type]) {
+      frames[TEXT_ATOMS[item.type]] = decodeUtf8(data.value);
+    } else if (item.type === 'trkn' || item.type === 'disk') {
+      // Two padding bytes, then number and total
+      const number = readUint16BE(data.value, 2);
+      const total = readUint16BE(data.value, 4);
+      const field = item.type === 'trkn' ? 'track' : 'disc';
+      frames[field] = total ? `${number}/${total}` : String(number);
+    } else if (item.type === 'gnre' && !frames.genre) {
+      // ID3v1 genre index plus one
+      frames.genre = ID3_GENRES[readUint16BE(data.value, 0) - 1] || '';
+    } else if (item.type === 'covr') {
+      const mimeType = data.type === DATA_TYPES.PNG ? 'image/png' : 'image/jpeg';
+      pictures.push({ type: 3, mimeType, description: '', data: data.value });
+    }
+  });
+
+  return { frames, pictures };
+};
+
+/**
+ * Read iTunes-style tags from an MP4/M4A file
+ * @param {Blob} file - MP4 file
+ * @returns {Promise<{frames: Object, pictures: Array, stream: Object, chapters: Array}|null>}
+ *   Parsed tags, stream info and chapters ({start, title}, start in seconds), or null
+ *   without a moov atom
+ */
+export const readMp4 = async (file) => {
+  const moov = await readMoov(file);
+  if (!moov) return null;
+
+  // Walk moov > udta > meta > ilst; meta is a full atom with four bytes of version and flags
+  let atoms = readAtoms(moov);
+  let ilst = null;
+  while (atoms.length > 0 && !ilst) {
+    const container = atoms.find(atom => CONTAINERS.has(atom.type));
+    if (!container) break;
+
+    if (container.type === 'ilst') {
+      ilst = container;
+    } else {
+      const start = container.type === 'meta' ? container.start + 4 : container.start;
+      atoms = readAtoms(moov, start, container.end);
+    }
+  }
+
+  const tags = ilst ? readIlst(moov, ilst) : { frames: {}, pictures: [] };
+  return { ...tags, stream: readStream(moov), chapters: await readChapters(file, moov) };
+};
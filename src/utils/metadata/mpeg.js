@@ -0,0 +1,156 @@
+// MPEG audio (MP3) stream info from frame headers. VBR files carry a Xing/Info
+// or VBRI header with the exact frame count; without one the first frame's
+// bitrate is assumed for the whole file, as it is for CBR.
+import { readAscii, readBlobBytes, readUint32BE } from './binary';
+import { ID3V1_SIZE, ID3V2_HEADER_SIZE, getId3v2Size } from './id3';
+
+// How far past the ID3 tag to look for the first frame
+const SEARCH_BYTES = 64 * 1024;
+
+const MPEG1 = 1;
+
+// Version bits 00, 10 and 11 (01 is reserved)
+const VERSIONS = [2.5, null, 2, MPEG1];
+
+// kbps by bitrate index; MPEG 2 and 2.5 share one table per layer
+const BITRATES = {
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+
+const SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+const CHANNEL_MODE_MONO = 3;
+
+/**
+ * Parse a four-byte MPEG audio frame header
+ * @param {Uint8Array} bytes - Buffer holding the header
+ * @param {number} offset - Where the header starts
+ * @returns {Object|null} version, layer, bitrate (kbps), sampleRate, channels,
+ *   frameLength and samplesPerFrame, or null if these bytes aren't a valid header
+ */
+export const readFrameHeader = (bytes, offset) => {
+  if (offset + 4 > bytes.length) return null;
+  if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const version = VERSIONS[(bytes[offset + 1] >> 3) & 0x03];
+  const layer = 4 - ((bytes[offset + 1] >> 1) & 0x03);
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+  // Free-format (index 0) streams don't say how long their frames are
+  if (!version || layer === 4 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const bitrate = BITRATES[version === MPEG1 ? 1 : 2][layer][bitrateIndex];
+  const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (bytes[offset + 2] >> 1) & 0x01;
+  const channelMode = bytes[offset + 3] >> 6;
+
+  let frameLength;
+  let samplesPerFrame;
+  if (layer === 1) {
+    frameLength = (Math.floor((12 * bitrate * 1000) / sampleRate) + padding) * 4;
+    samplesPerFrame = 384;
+  } else {
+    const isHalfFrame = layer === 3 && version !== MPEG1;
+    frameLength = Math.floor(((isHalfFrame ? 72 : 144) * bitrate * 1000) / sampleRate) + padding;
+    samplesPerFrame = isHalfFrame ? 576 : 1152;
+  }
+
+  return {
+    version,
+    layer,
+    bitrate,
+    sampleRate,
+    channelMode,
+    channels: channelMode === CHANNEL_MODE_MONO ? 1 : 2,
+    frameLength,
+    samplesPerFrame
+  };
+};
+
+// A header counts once the next frame starts where it says it ends; stray
+// 0xFF bytes in album art, padding or other formats' data would otherwise look
+// like frames. A header whose next frame lies past the buffer proves nothing.
+const findFirstFrame = (bytes) => {
+  for (let offset = 0; offset + 4 <= bytes.length; offset++) {
+    const header = readFrameHeader(bytes, offset);
+    if (!header) continue;
+
+    const next = readFrameHeader(bytes, offset + header.frameLength);
+    if (next && next.version === header.version && next.layer === header.layer && next.sampleRate === header.sampleRate) {
+      return { offset, header };
+    }
+  }
+  return null;
+};
+
+// Frame and byte counts from a Xing/Info (LAME) or VBRI (Fraunhofer) header
+const readVbrHeader = (bytes, offset, header) => {
+  const sideInfoSize = header.version === MPEG1
+    ? (header.channels === 1 ? 17 : 32)
+    : (header.channels === 1 ? 9 : 17);
+  const xing = offset + 4 + sideInfoSize;
+  const xingId = readAscii(bytes, xing, 4);
+
+  if (header.layer === 3 && (xingId === 'Xing' || xingId === 'Info')) {
+    const flags = readUint32BE(bytes, xing + 4);
+    let field = xing + 8;
+    const frames = flags & 0x01 ? readUint32BE(bytes, field) : null;
+    if (flags & 0x01) field += 4;
+    const byteCount = flags & 0x02 ? readUint32BE(bytes, field) : null;
+    return frames ? { frames, bytes: byteCount } : null;
+  }
+
+  const vbri = offset + 36;
+  if (readAscii(bytes, vbri, 4) === 'VBRI') {
+    const frames = readUint32BE(bytes, vbri + 14);
+    return frames ? { frames, bytes: readUint32BE(bytes, vbri + 10) } : null;
+  }
+
+  return null;
+};
+
+/**
+ * Read duration and format details of an MP3 file from its frame headers
+ * @param {Blob} file - MP3 file
+ * @returns {Promise<{duration: number, sampleRate: number, channels: number, bitrate: number}|null>}
+ *   Stream info (bitrate in kbps), or null unless two consecutive MPEG audio frames were found
+ */
+export const readMpegStream = async (file) => {
+  const start = getId3v2Size(await readBlobBytes(file, 0, ID3V2_HEADER_SIZE));
+  const bytes = await readBlobBytes(file, start, start + SEARCH_BYTES);
+  const first = findFirstFrame(bytes);
+  if (!first) return null;
+
+  const { offset, header } = first;
+  const hasId3v1 = file.size >= ID3V1_SIZE
+    && readAscii(await readBlobBytes(file, file.size - ID3V1_SIZE, file.size - ID3V1_SIZE + 3), 0, 3) === 'TAG';
+  const audioBytes = file.size - (start + offset) - (hasId3v1 ? ID3V1_SIZE : 0);
+
+  const stream = { sampleRate: header.sampleRate, channels: header.channels };
+  const vbr = readVbrHeader(bytes, offset, header);
+
+  if (vbr) {
+    stream.duration = (vbr.frames * header.samplesPerFrame) / header.sampleRate;
+    stream.bitrate = ((vbr.bytes || audioBytes) * 8) / stream.duration / 1000;
+  } else {
+    stream.duration = (audioBytes * 8) / (header.bitrate * 1000);
+    stream.bitrate = header.bitrate;
+  }
+
+  return stream;
+};
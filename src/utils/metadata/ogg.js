@@ -0,0 +1,297 @@
+// Ogg Vorbis and Opus headers, plus the last page's granule position for the duration.
+// Tags are rewritten by repaginating the header packets and renumbering later pages.
+import {
+  concatBytes,
+  encodeUtf8,
+  readAscii,
+  readBlobBytes,
+  readUint32LE,
+  writeUint32LE
+} from './binary';
+import { buildVorbisComment, readVorbisComment, updateVorbisComments } from './vorbisComment';
+
+const PAGE_HEADER_SIZE = 27;
+const MAX_SEGMENTS = 255;
+
+// Header type flags
+const CONTINUED_PAGE = 0x01;
+// Pages are at most 27 + 255 + 255 * 255 bytes, so the last one starts within this
+const MAX_PAGE_SIZE = 65307;
+// Comment packets with embedded art can be large, but not this large
+const MAX_HEADER_BYTES = 16 * 1024 * 1024;
+
+// Opus always runs at 48 kHz; granule positions count output samples
+const OPUS_SAMPLE_RATE = 48000;
+
+const CODECS = [
+  {
+    name: 'vorbis',
+    identification: '\x01vorbis',
+    comment: '\x03vorbis',
+    // Identification, comment and setup
+    headerPackets: 3,
+    // Vorbis comment packets end with a framing bit
+    commentSuffix: [1],
+    readStream: (packet) => ({
+      channels: packet[11],
+      sampleRate: readUint32LE(packet, 12),
+      nominalBitrate: readUint32LE(packet, 20),
+      preSkip: 0
+    })
+  },
+  {
+    name: 'opus',
+    identification: 'OpusHead',
+    comment: 'OpusTags',
+    headerPackets: 2,
+    commentSuffix: [],
+    readStream: (packet) => ({
+      channels: packet[9],
+      sampleRate: OPUS_SAMPLE_RATE,
+      nominalBitrate: 0,
+      preSkip: packet[10] | (packet[11] << 8)
+    })
+  }
+];
+
+const startsWith = (bytes, prefix) => (
+  bytes.length >= prefix.length && readAscii(bytes, 0, prefix.length) === prefix
+);
+
+/**
+ * Collect the first packets of the first logical stream, reassembling packets
+ * that span pages
+ * @param {Blob} file - Ogg file
+ * @param {number} count - Packets wanted
+ * @returns {Promise<Array<Uint8Array>>} Up to count packets
+ */
+export const readOggPackets = async (file, count) => {
+  const packets = [];
+  let pending = [];
+  let serial = null;
+  let offset = 0;
+
+  while (packets.length < count && offset + PAGE_HEADER_SIZE <= Math.min(file.size, MAX_HEADER_BYTES)) {
+    const header = await readBlobBytes(file, offset, offset + PAGE_HEADER_SIZE);
+    if (readAscii(header, 0, 4) !== 'OggS') break;
+
+    const segmentCount = header[26];
+    const segments = await readBlobBytes(file, offset + PAGE_HEADER_SIZE, offset + PAGE_HEADER_SIZE + segmentCount);
+    const bodySize = segments.reduce((total, size) => total + size, 0);
+    const bodyStart = offset + PAGE_HEADER_SIZE + segmentCount;
+    const pageSerial = readUint32LE(header, 14);
+    offset = bodyStart + bodySize;
+
+    // Multiplexed files interleave streams; stick to the first one
+    if (serial === null) serial = pageSerial;
+    if (pageSerial !== serial) continue;
+
+    const body = await readBlobBytes(file, bodyStart, offset);
+    let position = 0;
+    segments.forEach(size => {
+      pending.push(body.subarray(position, position + size));
+      position += size;
+      // A lacing value under 255 ends the packet
+      if (size < 255) {
+        packets.push(concatBytes(pending));
+        pending = [];
+      }
+    });
+  }
+
+  return packets.slice(0, count);
+};
+
+// Granule position of the stream's last page, found by scanning back from the end
+const readLastGranule = async (file, serial) => {
+  const start = Math.max(0, file.size - MAX_PAGE_SIZE);
+  const bytes = await readBlobBytes(file, start, file.size);
+
+  for (let offset = bytes.length - PAGE_HEADER_SIZE; offset >= 0; offset--) {
+    if (bytes[offset] !== 0x4f || readAscii(bytes, offset, 4) !== 'OggS') continue;
+    if (readUint32LE(bytes, offset + 14) !== serial) continue;
+
+    const low = readUint32LE(bytes, offset + 6);
+    const high = readUint32LE(bytes, offset + 10);
+    // All ones marks a page where no packet ends
+    if (low !== 0xffffffff || high !== 0xffffffff) return high * 0x100000000 + low;
+  }
+  return null;
+};
+
+/**
+ * Read the comment header of an Ogg Vorbis or Opus file
+ * @param {Blob} file - Ogg file
+ * @returns {Promise<{codec: string, frames: Object, pictures: Array, stream: Object}|null>}
+ *   Parsed tags and stream info (bitrate in kbps), or null for other codecs
+ */
+export const readOgg = async (file) => {
+  const [identification, comment] = await readOggPackets(file, 2);
+  if (!identification || !comment) return null;
+
+  const codec = CODECS.find(candidate => startsWith(identification, candidate.identification));
+  if (!codec || !startsWith(comment, codec.comment)) return null;
+
+  const { frames, pictures } = readVorbisComment(comment.subarray(codec.comment.length));
+
+  const { channels, sampleRate, nominalBitrate, preSkip } = codec.readStream(identification);
+  const stream = { channels, sampleRate };
+  const serial = readUint32LE(await readBlobBytes(file, 0, PAGE_HEADER_SIZE), 14);
+  const granule = await readLastGranule(file, serial);
+  if (granule && sampleRate) {
+    stream.duration = Math.max(0, granule - preSkip) / sampleRate;
+  }
+  // The nominal bitrate is signed; zero or negative means the encoder left it out
+  if (nominalBitrate > 0 && nominalBitrate < 0x80000000) {
+    stream.bitrate = nominalBitrate / 1000;
+  } else if (stream.duration) {
+    stream.bitrate = (file.size * 8) / stream.duration / 1000;
+  }
+
+  return { codec: codec.name, frames, pictures, stream };
+};
+
+// CRC-32 with polynomial 0x04c11db7, unreflected, as Ogg pages use it
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index << 24;
+  for (let bit = 0; bit < 8; bit++) {
+    value = value & 0x80000000 ? (value << 1) ^ 0x04c11db7 : value << 1;
+  }
+  return value >>> 0;
+});
+
+const pageChecksum = (page) => {
+  let crc = 0;
+  page.forEach((byte, index) => {
+    // The checksum field itself counts as zeros
+    const value = index >= 22 && index < 26 ? 0 : byte;
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ value) & 0xff]) >>> 0;
+  });
+  return crc;
+};
+
+const setPageSequence = (page, sequence) => {
+  writeUint32LE(page, 18, sequence);
+  writeUint32LE(page, 22, pageChecksum(page));
+};
+
+// Lay packets out on fresh pages; header pages carry granule position 0, and
+// pages where no packet ends carry -1
+const paginate = (packets, serial, firstSequence) => {
+  const pages = [];
+  packets.forEach(packet => {
+    const lacing = [...Array(Math.floor(packet.length / 255)).fill(255), packet.length % 255];
+    let position = 0;
+    for (let first = 0; first < lacing.length; first += MAX_SEGMENTS) {
+      const segments = lacing.slice(first, first + MAX_SEGMENTS);
+      const size = segments.reduce((total, value) => total + value, 0);
+      const endsPacket = first + MAX_SEGMENTS >= lacing.length;
+
+      const page = new Uint8Array(PAGE_HEADER_SIZE + segments.length + size);
+      page.set(encodeUtf8('OggS'));
+      page[5] = first > 0 ? CONTINUED_PAGE : 0;
+      page.fill(endsPacket ? 0 : 0xff, 6, 14);
+      writeUint32LE(page, 14, serial);
+      page[26] = segments.length;
+      page.set(segments, PAGE_HEADER_SIZE);
+      page.set(packet.subarray(position, position + size), PAGE_HEADER_SIZE + segments.length);
+      position += size;
+
+      setPageSequence(page, firstSequence + pages.length);
+      pages.push(page);
+    }
+  });
+  return pages;
+};
+
+/**
+ * Copy an Ogg Vorbis or Opus file with a new comment header
+ * @param {Blob} file - Ogg file
+ * @param {Object} tags - Normalised tags to write
+ * @param {Object|null} [picture] - Picture to embed, null to remove embedded pictures,
+ *   undefined to keep them
+ * @returns {Promise<Blob|null>} The tagged copy, or null for other codecs
+ */
+export const writeOgg = async (file, tags, picture) => {
+  const firstPage = await readBlobBytes(file, 0, PAGE_HEADER_SIZE);
+  if (readAscii(firstPage, 0, 4) !== 'OggS') return null;
+  const serial = readUint32LE(firstPage, 14);
+
+  // Header packets always finish their last page, so the audio pages start cleanly
+  const packets = [];
+  let pending = [];
+  let offset = 0;
+  let sequence = 0;
+  let codec = null;
+  let identificationSize = 0;
+
+  while (offset + PAGE_HEADER_SIZE <= Math.min(file.size, MAX_HEADER_BYTES)) {
+    const header = await readBlobBytes(file, offset, offset + PAGE_HEADER_SIZE);
+    if (readAscii(header, 0, 4) !== 'OggS') break;
+    if (readUint32LE(header, 14) !== serial) {
+      throw new Error('Files with several streams can\'t be tagged');
+    }
+
+    const segmentCount = header[26];
+    const segments = await readBlobBytes(file, offset + PAGE_HEADER_SIZE, offset + PAGE_HEADER_SIZE + segmentCount);
+    const bodyStart = offset + PAGE_HEADER_SIZE + segmentCount;
+    const body = await readBlobBytes(file, bodyStart, bodyStart + segments.reduce((total, size) => total + size, 0));
+    offset = bodyStart + body.length;
+    sequence = readUint32LE(header, 18) + 1;
+
+    let position = 0;
+    segments.forEach(size => {
+      pending.push(body.subarray(position, position + size));
+      position += size;
+      if (size < 255) {
+        packets.push(concatBytes(pending));
+        pending = [];
+      }
+    });
+
+    if (!codec) {
+      // The identification packet has the first page to itself
+      codec = packets.length === 1 && CODECS.find(candidate => startsWith(packets[0], candidate.identification));
+      if (!codec) return null;
+      identificationSize = offset;
+    }
+    if (packets.length >= codec.headerPackets) break;
+  }
+
+  if (!codec || packets.length !== codec.headerPackets || pending.length > 0 || !startsWith(packets[1], codec.comment)) {
+    return null;
+  }
+
+  const prefix = encodeUtf8(codec.comment);
+  const existing = readVorbisComment(packets[1].subarray(prefix.length));
+  const comment = concatBytes([
+    prefix,
+    buildVorbisComment(existing.vendor, updateVorbisComments(existing.comments, tags, picture)),
+    codec.commentSuffix
+  ]);
+
+  // The identification packet keeps its page, which carries the beginning-of-stream flag
+  const headerPages = [
+    await readBlobBytes(file, 0, identificationSize),
+    ...paginate([comment, ...packets.slice(2)], serial, 1)
+  ];
+  const shift = headerPages.length - sequence;
+
+  if (shift === 0) {
+    return new Blob([...headerPages, file.slice(offset)], { type: file.type || 'audio/ogg' });
+  }
+
+  // Later pages need new sequence numbers, and so new checksums
+  const rest = await readBlobBytes(file, offset, file.size);
+  let position = 0;
+  while (position + PAGE_HEADER_SIZE <= rest.length && readAscii(rest, position, 4) === 'OggS') {
+    const segmentCount = rest[position + 26];
+    const size = PAGE_HEADER_SIZE + segmentCount
+      + rest.subarray(position + PAGE_HEADER_SIZE, position + PAGE_HEADER_SIZE + segmentCount).reduce((total, value) => total + value, 0);
+    const page = rest.subarray(position, position + size);
+    if (readUint32LE(page, 14) === serial) setPageSequence(page, readUint32LE(page, 18) + shift);
+    position += size;
+  }
+
+  return new Blob([...headerPages, rest], { type: file.type || 'audio/ogg' });
+};
@@ -0,0 +1,202 @@
+// Vorbis comments (FLAC, Ogg Vorbis, Opus) and FLAC picture blocks
+import {
+  concatBytes,
+  decodeUtf8,
+  encodeUtf8,
+  readAscii,
+  readUint32BE,
+  readUint32LE,
+  writeUint32BE,
+  writeUint32LE
+} from './binary';
+import { fromBase64, toBase64 } from '../crypto';
+
+// Field names by comment key; keys are case-insensitive
+const COMMENT_FIELDS = {
+  TITLE: 'title',
+  ARTIST: 'artist',
+  ALBUM: 'album',
+  ALBUMARTIST: 'albumArtist',
+  'ALBUM ARTIST': 'albumArtist',
+  TRACKNUMBER: 'track',
+  TRACKTOTAL: 'trackTotal',
+  TOTALTRACKS: 'trackTotal',
+  DISCNUMBER: 'disc',
+  DISCTOTAL: 'discTotal',
+  TOTALDISCS: 'discTotal',
+  DATE: 'year',
+  YEAR: 'year',
+  GENRE: 'genre',
+  COMMENT: 'comment',
+  DESCRIPTION: 'comment',
+  LYRICS: 'lyrics',
+  UNSYNCEDLYRICS: 'lyrics'
+};
+
+// The key each tag field is written under; the other keys above are aliases
+const WRITTEN_KEYS = {
+  title: 'TITLE',
+  artist: 'ARTIST',
+  album: 'ALBUM',
+  albumArtist: 'ALBUMARTIST',
+  trackNumber: 'TRACKNUMBER',
+  trackTotal: 'TRACKTOTAL',
+  discNumber: 'DISCNUMBER',
+  discTotal: 'DISCTOTAL',
+  year: 'DATE',
+  genre: 'GENRE',
+  comment: 'COMMENT'
+};
+
+const PICTURE_KEY = 'METADATA_BLOCK_PICTURE';
+
+// Fields that keep every value rather than the first
+const JOINED_FIELDS = {
+  artist: '; ',
+  genre: ', '
+};
+
+/**
+ * Parse a FLAC PICTURE block (also used base64-encoded in Ogg comments)
+ * @param {Uint8Array} bytes - Block body
+ * @returns {{type: number, mimeType: string, description: string, data: Uint8Array}|null} Picture
+ */
+export const readFlacPicture = (bytes) => {
+  try {
+    let offset = 0;
+    const type = readUint32BE(bytes, offset);
+    const mimeLength = readUint32BE(bytes, offset + 4);
+    const mimeType = readAscii(bytes, offset + 8, mimeLength);
+    offset += 8 + mimeLength;
+
+    const descriptionLength = readUint32BE(bytes, offset);
+    const description = decodeUtf8(bytes.subarray(offset + 4, offset + 4 + descriptionLength));
+    // Width, height, colour depth and palette size follow; the image says as much
+    offset += 4 + descriptionLength + 16;
+
+    const dataLength = readUint32BE(bytes, offset);
+    const data = bytes.subarray(offset + 4, offset + 4 + dataLength);
+    if (data.length !== dataLength) return null;
+
+    return { type, mimeType, description, data };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parse a Vorbis comment block: vendor string, then KEY=value pairs, all little-endian
+ * @param {Uint8Array} bytes - Comment block without any codec prefix
+ * @returns {{frames: Object, pictures: Array, vendor: string, comments: Array<string>}} Raw
+ *   values by field name plus embedded pictures, and the block as read, for rewriting it
+ */
+export const readVorbisComment = (bytes) => {
+  const values = {};
+  const pictures = [];
+  const comments = [];
+
+  const vendorLength = readUint32LE(bytes, 0);
+  const vendor = decodeUtf8(bytes.subarray(4, 4 + vendorLength));
+  let offset = 4 + vendorLength;
+  const count = readUint32LE(bytes, offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const length = readUint32LE(bytes, offset);
+    const comment = decodeUtf8(bytes.subarray(offset + 4, offset + 4 + length));
+    offset += 4 + length;
+    comments.push(comment);
+
+    const separator = comment.indexOf('=');
+    if (separator <= 0) continue;
+
+    const key = comment.slice(0, separator).toUpperCase();
+    const value = comment.slice(separator + 1).trim();
+
+    if (key === PICTURE_KEY) {
+      const picture = readFlacPicture(fromBase64(value));
+      if (picture) pictures.push(picture);
+      continue;
+    }
+
+    const field = COMMENT_FIELDS[key];
+    if (field && value) {
+      values[field] = [...(values[field] || []), value];
+    }
+  }
+
+  const frames = {};
+  Object.entries(values).forEach(([field, list]) => {
+    frames[field] = JOINED_FIELDS[field] ? list.join(JOINED_FIELDS[field]) : list[0];
+  });
+
+  return { frames, pictures, vendor, comments };
+};
+
+/**
+ * Build a FLAC PICTURE block body
+ * @param {{type: number, mimeType: string, description?: string, data: Uint8Array}} picture - Image
+ * @returns {Uint8Array} Block body; width, height and colour depth are left at 0 (unknown)
+ */
+export const buildFlacPicture = ({ type, mimeType, description = '', data }) => {
+  const mime = encodeUtf8(mimeType);
+  const text = encodeUtf8(description);
+  const bytes = new Uint8Array(32 + mime.length + text.length + data.length);
+
+  let offset = 0;
+  writeUint32BE(bytes, offset, type);
+  writeUint32BE(bytes, offset + 4, mime.length);
+  bytes.set(mime, offset + 8);
+  offset += 8 + mime.length;
+  writeUint32BE(bytes, offset, text.length);
+  bytes.set(text, offset + 4);
+  offset += 4 + text.length + 16;
+  writeUint32BE(bytes, offset, data.length);
+  bytes.set(data, offset + 4);
+
+  return bytes;
+};
+
+/**
+ * Swap the tag fields in a comment list, keeping comments this app doesn't edit
+ * @param {Array<string>} comments - Existing KEY=value comments
+ * @param {Object} tags - Normalised tags to write; fields left out are removed
+ * @param {Object|null} [picture] - Picture to embed as METADATA_BLOCK_PICTURE, null to
+ *   drop embedded pictures, undefined to keep them
+ * @returns {Array<string>} The new comment list
+ */
+export const updateVorbisComments = (comments, tags, picture) => {
+  const kept = comments.filter(comment => {
+    const key = comment.slice(0, Math.max(0, comment.indexOf('='))).toUpperCase();
+    if (key === PICTURE_KEY) return picture === undefined;
+    // Lyrics aren't edited alongside the tags, so they stay
+    return !COMMENT_FIELDS[key] || COMMENT_FIELDS[key] === 'lyrics';
+  });
+
+  const written = Object.entries(WRITTEN_KEYS)
+    .filter(([field]) => tags[field] !== undefined && tags[field] !== '')
+    .map(([field, key]) => `${key}=${tags[field]}`);
+  const pictures = picture ? [`${PICTURE_KEY}=${toBase64(buildFlacPicture(picture))}`] : [];
+
+  return [...written, ...kept, ...pictures];
+};
+
+/**
+ * Build a Vorbis comment block
+ * @param {string} vendor - Encoder vendor string
+ * @param {Array<string>} comments - KEY=value comments
+ * @returns {Uint8Array} Block without any codec prefix or framing bit
+ */
+export const buildVorbisComment = (vendor, comments) => {
+  const chunks = [vendor, ...comments].map(text => {
+    const value = encodeUtf8(text);
+    const chunk = new Uint8Array(4 + value.length);
+    writeUint32LE(chunk, 0, value.length);
+    chunk.set(value, 4);
+    return chunk;
+  });
+
+  const count = new Uint8Array(4);
+  writeUint32LE(count, 0, comments.length);
+  return concatBytes([chunks[0], count, ...chunks.slice(1)]);
+};
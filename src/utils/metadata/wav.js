@@ -0,0 +1,65 @@
+// RIFF/WAVE stream info from the fmt and data chunks. The fmt chunk gives the
+// format and byte rate; the data chunk's size over that rate is the duration.
+import { readAscii, readBlobBytes, readUint16LE, readUint32LE } from './binary';
+
+const RIFF_HEADER_SIZE = 12;
+const CHUNK_HEADER_SIZE = 8;
+// channels, sample rate, byte rate, block align and bits per sample follow the format tag
+const FMT_SIZE = 16;
+// Streamed or oversized files leave the data size at its maximum
+const UNKNOWN_SIZE = 0xffffffff;
+
+/**
+ * Check for a RIFF/WAVE header
+ * @param {Uint8Array} header - First 12 bytes of the file
+ * @returns {boolean} Whether the file is a WAV file
+ */
+export const isWavHeader = (header) => (
+  readAscii(header, 0, 4) === 'RIFF' && readAscii(header, 8, 4) === 'WAVE'
+);
+
+/**
+ * Read duration and format details of a WAV file
+ * @param {Blob} file - WAV file
+ * @returns {Promise<{frames: Object, pictures: Array, stream: Object}|null>} Stream
+ *   info (bitrate in kbps) with no tags, or null without fmt and data chunks
+ */
+export const readWav = async (file) => {
+  let format = null;
+  let offset = RIFF_HEADER_SIZE;
+
+  while (offset + CHUNK_HEADER_SIZE <= file.size) {
+    const header = await readBlobBytes(file, offset, offset + CHUNK_HEADER_SIZE);
+    const id = readAscii(header, 0, 4);
+    const size = readUint32LE(header, 4);
+    const start = offset + CHUNK_HEADER_SIZE;
+
+    if (id === 'fmt ' && size >= FMT_SIZE) {
+      const fmt = await readBlobBytes(file, start, start + FMT_SIZE);
+      format = {
+        channels: readUint16LE(fmt, 2),
+        sampleRate: readUint32LE(fmt, 4),
+        byteRate: readUint32LE(fmt, 8)
+      };
+    } else if (id === 'data') {
+      if (!format || !format.byteRate) return null;
+
+      const dataSize = size === UNKNOWN_SIZE || start + size > file.size ? file.size - start : size;
+      return {
+        frames: {},
+        pictures: [],
+        stream: {
+          duration: dataSize / format.byteRate,
+          sampleRate: format.sampleRate,
+          channels: format.channels,
+          bitrate: (format.byteRate * 8) / 1000
+        }
+      };
+    }
+
+    // Chunks are padded to an even length
+    offset = start + size + (size % 2);
+  }
+
+  return null;
+};
@@ -0,0 +1,34 @@
+// Scales embedded cover art down to thumbnails. Covers are often several
+// megapixels, and decoding them on the main thread stalls large imports.
+
+const resize = async (blob, size, type, quality) => {
+  const bitmap = await createImageBitmap(blob);
+
+  try {
+    const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(bitmap, 0, 0, width, height);
+    return await canvas.convertToBlob({ type, quality });
+  } finally {
+    bitmap.close();
+  }
+};
+
+self.onmessage = async (event) => {
+  const { requestId, type, blob, size, imageType, quality } = event.data;
+
+  try {
+    if (type !== 'thumbnail') {
+      throw new Error(`Unknown request: ${type}`);
+    }
+    const thumbnail = await resize(blob, size, imageType, quality);
+    self.postMessage({ requestId, ok: true, blob: thumbnail });
+  } catch (error) {
+    self.postMessage({ requestId, ok: false, error: error.message });
+  }
+};
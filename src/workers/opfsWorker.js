@@ -0,0 +1,66 @@
+// Writes audio into the origin private file system. Sync access handles are only
+// available inside workers and write straight to disk without buffering whole files.
+
+const AUDIO_DIRECTORY = 'audio';
+
+let directoryPromise = null;
+
+const getAudioDirectory = () => {
+  if (!directoryPromise) {
+    directoryPromise = navigator.storage.getDirectory()
+      .then(root => root.getDirectoryHandle(AUDIO_DIRECTORY, { create: true }));
+  }
+  return directoryPromise;
+};
+
+// Audio is written beside the stored file and renamed over it once complete,
+// so a failed write leaves the old audio in place. '#' never appears in an
+// encoded track id, so partial files can't collide with stored ones.
+const PARTIAL_SUFFIX = '#partial';
+
+const writeFile = async (name, blob) => {
+  const directory = await getAudioDirectory();
+  const partialName = `${name}${PARTIAL_SUFFIX}`;
+  const fileHandle = await directory.getFileHandle(partialName, { create: true });
+  let size = 0;
+
+  try {
+    const accessHandle = await fileHandle.createSyncAccessHandle();
+    try {
+      // A partial file left by an earlier failed write is started over
+      accessHandle.truncate(0);
+
+      // Copy chunk by chunk so large files never sit in memory whole
+      const reader = blob.stream().getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        size += accessHandle.write(value, { at: size });
+      }
+
+      accessHandle.flush();
+    } finally {
+      accessHandle.close();
+    }
+
+    await fileHandle.move(name);
+    return size;
+  } catch (error) {
+    await directory.removeEntry(partialName).catch(() => {});
+    throw error;
+  }
+};
+
+self.onmessage = async (event) => {
+  const { requestId, type, name, blob } = event.data;
+
+  try {
+    if (type !== 'write') {
+      throw new Error(`Unknown request: ${type}`);
+    }
+    const size = await writeFile(name, blob);
+    self.postMessage({ requestId, ok: true, size });
+  } catch (error) {
+    self.postMessage({ requestId, ok: false, error: error.message });
+  }
+};